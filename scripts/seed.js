@@ -1,6 +1,7 @@
 // Seed script: Register initial operator and watcher types
 
 import * as store from '../src/store.js';
+import { CHAIN_NAMES, DEFAULT_CHAIN } from '../src/chains.js';
 
 const SPARK_WALLET = '0x1468B3fa064b44bA184aB34FD9CD9eB34E43f197';
 
@@ -28,7 +29,7 @@ async function seed() {
     operatorId: operator.id,
     name: 'Wallet Balance Alert',
     category: 'wallet',
-    description: 'Get notified when a wallet balance goes above or below a threshold. Supports Base, Ethereum, Optimism, and Arbitrum.',
+    description: 'Get notified when a wallet balance goes above or below a threshold. Supports Base, Ethereum, Polygon and the major L2s.',
     price: 0.01,
     executorId: 'wallet-balance',
     configSchema: {
@@ -38,7 +39,7 @@ async function seed() {
         address: { type: 'string', description: 'Wallet address (0x...)' },
         threshold: { type: 'number', description: 'Balance threshold in ETH' },
         direction: { type: 'string', enum: ['above', 'below'] },
-        chain: { type: 'string', enum: ['base', 'ethereum', 'optimism', 'arbitrum'], default: 'base' },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
       },
     },
   });
@@ -49,7 +50,7 @@ async function seed() {
     operatorId: operator.id,
     name: 'Token Price Alert',
     category: 'price',
-    description: 'Get notified when a token price crosses a threshold. Uses CoinGecko for price data.',
+    description: 'Get notified when a token price crosses a threshold. Uses CoinGecko by default, with Chainlink and Uniswap v3 TWAP as failover or median sources.',
     price: 0.01,
     executorId: 'token-price',
     configSchema: {
@@ -59,14 +60,409 @@ async function seed() {
         token: { type: 'string', description: 'Token symbol (ETH, BTC, etc.) or CoinGecko ID' },
         threshold: { type: 'number', description: 'Price threshold in USD' },
         direction: { type: 'string', enum: ['above', 'below'] },
+        sources: { type: 'array', items: { type: 'string', enum: ['coingecko', 'chainlink', 'uniswap-v3'] }, default: ['coingecko'] },
+        aggregation: { type: 'string', enum: ['first', 'median'], default: 'first' },
       },
     },
   });
   console.log(`✅ Created watcher type: ${priceType.name} ($${priceType.price})`);
   
+  // Create token balance watcher type
+  const tokenBalanceType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Token Balance Alert',
+    category: 'wallet',
+    description: 'Get notified when an ERC-20 token balance (e.g., USDC) goes above or below a threshold. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.01,
+    executorId: 'token-balance',
+    configSchema: {
+      type: 'object',
+      required: ['address', 'token', 'threshold', 'direction'],
+      properties: {
+        address: { type: 'string', description: 'Wallet address (0x...)' },
+        token: { type: 'string', description: 'ERC-20 token contract address (0x...)' },
+        threshold: { type: 'number', description: 'Balance threshold in token units' },
+        direction: { type: 'string', enum: ['above', 'below'] },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${tokenBalanceType.name} ($${tokenBalanceType.price})`);
+  
+  // Create contract event watcher type
+  const contractEventType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Contract Event Alert',
+    category: 'contract',
+    description: 'Get notified when a smart contract emits a matching event log. Filter on indexed arguments. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.02,
+    executorId: 'contract-event',
+    configSchema: {
+      type: 'object',
+      required: ['address', 'event'],
+      properties: {
+        address: { type: 'string', description: 'Contract address (0x...)' },
+        event: { type: 'string', description: 'Event ABI fragment, e.g. "event Transfer(address indexed from, address indexed to, uint256 value)"' },
+        args: { type: 'object', description: 'Optional filter on indexed arguments' },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${contractEventType.name} ($${contractEventType.price})`);
+  
+  // Create contract read watcher type
+  const contractCallType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Contract Read Alert',
+    category: 'contract',
+    description: 'Get notified when any view function (e.g. a vault\'s totalAssets() or an oracle\'s latestAnswer()) crosses a threshold or changes. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.02,
+    executorId: 'contract-call',
+    configSchema: {
+      type: 'object',
+      required: ['address', 'function', 'operator'],
+      properties: {
+        address: { type: 'string', description: 'Contract address (0x...)' },
+        function: { type: 'string', description: 'View function ABI fragment, e.g. "function totalAssets() view returns (uint256)"' },
+        args: { type: 'array', description: 'Function arguments' },
+        outputIndex: { type: 'number', description: 'Return value to compare when there are several' },
+        decimals: { type: 'number', description: 'Scale integer results by 10^decimals' },
+        operator: { type: 'string', enum: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'changed'] },
+        threshold: { type: 'number', description: 'Value to compare against (unused for "changed")' },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${contractCallType.name} ($${contractCallType.price})`);
+  
+  // Create price move watcher type
+  const priceChangeType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Price Move Alert',
+    category: 'price',
+    description: 'Get notified when a token price moves more than X% within a time window (e.g. -10% in 1 hour). Uses CoinGecko for price data.',
+    price: 0.02,
+    executorId: 'price-change',
+    configSchema: {
+      type: 'object',
+      required: ['token', 'percent', 'windowMinutes'],
+      properties: {
+        token: { type: 'string', description: 'Token symbol (ETH, BTC, etc.) or CoinGecko ID' },
+        percent: { type: 'number', description: 'Size of the move in percent' },
+        windowMinutes: { type: 'number', description: 'Rolling window in minutes (5 - 10080)' },
+        direction: { type: 'string', enum: ['up', 'down', 'any'], default: 'any' },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${priceChangeType.name} ($${priceChangeType.price})`);
+  
+  // Create Chainlink price watcher type
+  const chainlinkType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Chainlink Price Alert',
+    category: 'price',
+    description: 'Get notified when a Chainlink price feed crosses a threshold, or when the feed goes stale. Reads on-chain on Base, Ethereum, Optimism, and Arbitrum.',
+    price: 0.02,
+    executorId: 'chainlink-price',
+    configSchema: {
+      type: 'object',
+      required: ['threshold', 'direction'],
+      properties: {
+        token: { type: 'string', description: 'Token symbol with a registered USD feed (ETH, BTC, USDC, etc.)' },
+        feed: { type: 'string', description: 'Aggregator address (0x...), instead of token' },
+        threshold: { type: 'number', description: 'Price threshold in USD' },
+        direction: { type: 'string', enum: ['above', 'below'] },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+        maxAgeSeconds: { type: 'number', description: 'Staleness limit (default: feed heartbeat)' },
+        alertOnStale: { type: 'boolean', default: true },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${chainlinkType.name} ($${chainlinkType.price})`);
+  
+  // Create lending health factor watcher type
+  const aaveHealthType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Lending Health Factor Alert',
+    category: 'defi',
+    description: 'Get notified when an Aave v3 position\'s health factor drops below a threshold, before it gets liquidated. Alerts include collateral, debt and health factor. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.05,
+    executorId: 'aave-health',
+    configSchema: {
+      type: 'object',
+      required: ['address', 'threshold'],
+      properties: {
+        address: { type: 'string', description: 'Borrower address (0x...)' },
+        threshold: { type: 'number', description: 'Health factor threshold (liquidation below 1.0)' },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+        pool: { type: 'string', description: 'Pool address for Aave v3 forks (optional)' },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${aaveHealthType.name} ($${aaveHealthType.price})`);
+  
+  // Create stablecoin depeg watcher type
+  const depegType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Stablecoin Depeg Alert',
+    category: 'price',
+    description: 'Get notified when any of your stablecoins (USDC, USDT, DAI or any CoinGecko ID) deviates from its peg by more than N basis points. Uses CoinGecko for price data.',
+    price: 0.02,
+    executorId: 'stablecoin-depeg',
+    configSchema: {
+      type: 'object',
+      required: ['thresholdBps'],
+      properties: {
+        tokens: { type: 'array', items: { type: 'string' }, default: ['USDC', 'USDT', 'DAI'] },
+        thresholdBps: { type: 'number', description: 'Deviation from peg in basis points' },
+        peg: { type: 'number', default: 1 },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${depegType.name} ($${depegType.price})`);
+  
+  // Create token approval watcher type
+  const approvalType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Token Approval Alert',
+    category: 'security',
+    description: 'Get notified when a wallet grants a large or unlimited ERC-20 approval, either to spenders you list or discovered from Approval events. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.03,
+    executorId: 'token-approval',
+    configSchema: {
+      type: 'object',
+      required: ['owner'],
+      properties: {
+        owner: { type: 'string', description: 'Wallet address to protect (0x...)' },
+        tokens: { type: 'array', items: { type: 'string' }, description: 'ERC-20 token contracts' },
+        spenders: { type: 'array', items: { type: 'string' }, description: 'Spenders to check (omit to discover Approval events)' },
+        threshold: { type: 'number', description: 'Allowance threshold in token units', default: 0 },
+        unlimitedOnly: { type: 'boolean', default: false },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${approvalType.name} ($${approvalType.price})`);
+  
+  // Create proxy upgrade watcher type
+  const proxyUpgradeType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Proxy Upgrade Alert',
+    category: 'security',
+    description: 'Get notified when an upgradeable contract\'s EIP-1967 implementation, admin or beacon changes, or its bytecode changes. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.03,
+    executorId: 'proxy-upgrade',
+    configSchema: {
+      type: 'object',
+      required: ['address'],
+      properties: {
+        address: { type: 'string', description: 'Proxy contract address (0x...)' },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${proxyUpgradeType.name} ($${proxyUpgradeType.price})`);
+  
+  // Create HTTP JSON watcher type
+  const httpJsonType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'HTTP JSON Alert',
+    category: 'custom',
+    description: 'Get notified when a value in any public JSON API (status pages, exchange endpoints, agent health checks) crosses a threshold, equals a value, or changes.',
+    price: 0.02,
+    executorId: 'http-json',
+    configSchema: {
+      type: 'object',
+      required: ['url', 'operator'],
+      properties: {
+        url: { type: 'string', description: 'Public http(s) URL returning JSON' },
+        path: { type: 'string', description: 'JSON Pointer (/a/b) or JSONPath ($.a.b) to the value' },
+        operator: { type: 'string', enum: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'changed'] },
+        threshold: { type: 'number', description: 'Value to compare against (unused for "changed")' },
+        headers: { type: 'object', description: 'Extra request headers' },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${httpJsonType.name} ($${httpJsonType.price})`);
+  
+  // Create Composite watcher type
+  const compositeType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Composite Alert',
+    category: 'custom',
+    description: 'Combine several conditions with AND / OR logic in a single watcher, e.g. ETH below $2500 AND a Base wallet below 0.5 ETH. Results from every condition arrive in one webhook.',
+    price: 0.03,
+    executorId: 'composite',
+    configSchema: {
+      type: 'object',
+      required: ['logic', 'conditions'],
+      properties: {
+        logic: { type: 'string', enum: ['and', 'or'] },
+        conditions: {
+          type: 'array',
+          minItems: 2,
+          maxItems: 5,
+          items: {
+            type: 'object',
+            properties: {
+              executorId: { type: 'string', description: 'Built-in executor ID' },
+              config: { type: 'object', description: 'Config for that executor' },
+            },
+          },
+        },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${compositeType.name} ($${compositeType.price})`);
+  
+  // Create Portfolio Value watcher type
+  const portfolioType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Portfolio Value Alert',
+    category: 'wallet',
+    description: 'Get notified when the combined USD value of several wallets (native ETH or POL plus chosen ERC-20s) across chains goes above or below a threshold.',
+    price: 0.03,
+    executorId: 'portfolio-value',
+    configSchema: {
+      type: 'object',
+      required: ['addresses', 'threshold', 'direction'],
+      properties: {
+        addresses: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+        chains: { type: 'array', items: { type: 'string', enum: CHAIN_NAMES } },
+        tokens: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              chain: { type: 'string' },
+              address: { type: 'string' },
+              priceId: { type: 'string' },
+            },
+          },
+        },
+        threshold: { type: 'number', description: 'Total value in USD' },
+        direction: { type: 'string', enum: ['above', 'below'] },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${portfolioType.name} ($${portfolioType.price})`);
+  
+  // Create NFT Transfer watcher type
+  const nftType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'NFT Transfer Alert',
+    category: 'wallet',
+    description: 'Get notified when an ERC-721 token changes owner, a wallet gains or loses NFTs from a collection (ERC-721 or ERC-1155), or its holdings cross a count. Useful for NFT-gated access.',
+    price: 0.02,
+    executorId: 'nft-transfer',
+    configSchema: {
+      type: 'object',
+      required: ['collection', 'mode'],
+      properties: {
+        collection: { type: 'string', description: 'NFT collection contract address' },
+        standard: { type: 'string', enum: ['erc721', 'erc1155'], default: 'erc721' },
+        mode: { type: 'string', enum: ['owner', 'holder', 'count'] },
+        tokenId: { type: 'string' },
+        address: { type: 'string', description: 'Holder address (holder and count modes)' },
+        threshold: { type: 'number' },
+        direction: { type: 'string', enum: ['above', 'below'] },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${nftType.name} ($${nftType.price})`);
+  
+  // Create Gas Price watcher type
+  const gasType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Gas Price Alert',
+    category: 'price',
+    description: 'Get notified when gas on Base, Ethereum, Polygon or an L2 drops below or rises above a gwei threshold, optionally only after it has held for N consecutive checks.',
+    price: 0.01,
+    executorId: 'gas-price',
+    configSchema: {
+      type: 'object',
+      required: ['threshold', 'direction'],
+      properties: {
+        threshold: { type: 'number', description: 'Gas price in gwei' },
+        direction: { type: 'string', enum: ['above', 'below'] },
+        metric: { type: 'string', enum: ['total', 'baseFee', 'priorityFee'], default: 'total' },
+        consecutiveChecks: { type: 'number', minimum: 1, default: 1 },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${gasType.name} ($${gasType.price})`);
+  
+  // Create Address Activity watcher type
+  const activityType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Address Activity Alert',
+    category: 'security',
+    description: 'Get notified whenever a watched address sends a transaction (nonce increase) or receives ETH, with the transaction hashes found since the last check. Built for cold wallets.',
+    price: 0.02,
+    executorId: 'address-activity',
+    configSchema: {
+      type: 'object',
+      required: ['address'],
+      properties: {
+        address: { type: 'string', description: 'Address to watch' },
+        watch: { type: 'string', enum: ['all', 'outgoing', 'incoming'], default: 'all' },
+        chain: { type: 'string', enum: CHAIN_NAMES, default: DEFAULT_CHAIN },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${activityType.name} ($${activityType.price})`);
+  
+  // Create Feed watcher type
+  const feedType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Feed Alert',
+    category: 'social',
+    description: 'Get notified about new posts in any RSS, Atom or JSON Feed, such as governance blogs, security advisories or changelogs. Optional keyword or regex filters; each item is sent once.',
+    price: 0.01,
+    executorId: 'feed',
+    configSchema: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', description: 'RSS, Atom or JSON Feed URL' },
+        keywords: { type: 'array', items: { type: 'string' } },
+        regex: { type: 'string', description: 'Case-insensitive regular expression' },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${feedType.name} ($${feedType.price})`);
+  
+  // Create Anomaly watcher type
+  const anomalyType = await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Anomaly Alert',
+    category: 'custom',
+    description: 'Get notified when something weird happens: wraps any numeric executor (price, balance, gas) and fires when the latest reading is a z-score or percentile outlier against its own recent history. No fixed threshold needed.',
+    price: 0.03,
+    executorId: 'anomaly',
+    configSchema: {
+      type: 'object',
+      required: ['executorId', 'config'],
+      properties: {
+        executorId: { type: 'string', description: 'Executor to wrap (e.g., token-price, gas-price)' },
+        config: { type: 'object', description: 'Config for that executor' },
+        field: { type: 'string', description: 'Numeric data field (default: primary value)' },
+        method: { type: 'string', enum: ['zscore', 'percentile'], default: 'zscore' },
+        zThreshold: { type: 'number', default: 3 },
+        percentile: { type: 'number', default: 99 },
+        side: { type: 'string', enum: ['both', 'high', 'low'], default: 'both' },
+        window: { type: 'number', default: 50 },
+        minSamples: { type: 'number', default: 10 },
+      },
+    },
+  });
+  console.log(`✅ Created watcher type: ${anomalyType.name} ($${anomalyType.price})`);
+  
   console.log('\n🎉 Marketplace seeded successfully!');
   console.log(`   - 1 operator`);
-  console.log(`   - 2 watcher types`);
+  console.log(`   - 19 watcher types`);
 }
 
 seed().catch(console.error);
@@ -16,13 +16,15 @@ import watcherRoutes from './src/routes/watchers.js';
 import cronRoutes from './src/routes/cron.js';
 import testWebhookRoutes from './src/routes/test-webhook.js';
 import * as store from './src/store.js';
+import { loadTokenRegistry } from './src/executors/token-registry.js';
+import { CHAIN_NAMES, PAYMENT_CHAIN, PAYMENT_NETWORK, describeChain } from './src/chains.js';
 
 const app = express();
 app.use(express.json());
 
 // Configuration
 const PLATFORM_WALLET = process.env.WALLET_ADDRESS || '0x1468B3fa064b44bA184aB34FD9CD9eB34E43f197';
-const NETWORK = process.env.NETWORK || 'eip155:8453';
+const NETWORK = PAYMENT_NETWORK;
 const PORT = process.env.PORT || 3402;
 
 // Create facilitator client with CDP auth
@@ -117,7 +119,8 @@ async function initializeApp() {
       description: 'A marketplace where agents sell execution services to other agents. Watchers, alerts, automations - all paid via x402 micropayments.',
       operator: 'SparkOC',
       wallet: PLATFORM_WALLET,
-      network: `Base (${NETWORK})`,
+      network: `${describeChain(PAYMENT_CHAIN).displayName} (${NETWORK})`,
+      chains: CHAIN_NAMES.map(describeChain),
       fees: {
         platform: '20%',
         operators: '80%',
@@ -131,10 +134,12 @@ async function initializeApp() {
         'GET /marketplace': 'Marketplace info and endpoints',
         'GET /marketplace/operators': 'List operators',
         'GET /marketplace/types': 'List watcher types',
+        'GET /marketplace/tokens': 'List the token registry',
         
         // Operator actions (free)
         'POST /marketplace/operators': 'Register as an operator',
         'POST /marketplace/types': 'Create a watcher type',
+        'POST /marketplace/tokens': 'Add a token to the registry',
         
         // Testing (free)
         'POST /test-webhook': 'Test webhook URL before subscribing (free)',
@@ -247,7 +252,7 @@ async function initializeApp() {
           {
             name: 'Wallet Balance Alert',
             price: '$0.01',
-            description: 'Monitor wallet balances across Base, Ethereum, Optimism, Arbitrum',
+            description: 'Monitor wallet balances across Base, Ethereum, Polygon and the major L2s',
             example: {
               address: '0x...',
               threshold: 1.0,
@@ -255,14 +260,201 @@ async function initializeApp() {
               chain: 'base'
             }
           },
+          {
+            name: 'Token Balance Alert',
+            price: '$0.01',
+            description: 'Monitor ERC-20 token balances (e.g., USDC) across Base, Ethereum, Polygon and the major L2s',
+            example: {
+              address: '0x...',
+              token: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // USDC on Base
+              threshold: 100,
+              direction: 'below', // or 'above'
+              chain: 'base'
+            }
+          },
+          {
+            name: 'Contract Event Alert',
+            price: '$0.02',
+            description: 'Monitor smart contract event logs, optionally filtered on indexed arguments',
+            example: {
+              address: '0x...',
+              event: 'event Transfer(address indexed from, address indexed to, uint256 value)',
+              args: { to: '0x...' }, // optional
+              chain: 'base'
+            }
+          },
+          {
+            name: 'Contract Read Alert',
+            price: '$0.02',
+            description: 'Call any view function and compare the result (eq, neq, gt, gte, lt, lte, changed)',
+            example: {
+              address: '0x...',
+              function: 'function totalAssets() view returns (uint256)',
+              args: [],
+              decimals: 6, // optional, scales integer results
+              operator: 'lt',
+              threshold: 1000000,
+              chain: 'base'
+            }
+          },
           {
             name: 'Token Price Alert',
             price: '$0.01',
-            description: 'Monitor token prices using CoinGecko data',
+            description: 'Monitor token prices from CoinGecko, Chainlink or Uniswap v3 TWAP',
             example: {
               token: 'ETH', // or any CoinGecko ID
               threshold: 3000,
-              direction: 'above' // or 'below'
+              direction: 'above', // or 'below'
+              sources: ['coingecko', 'chainlink'], // optional, in failover order
+              aggregation: 'first' // or 'median'
+            }
+          },
+          {
+            name: 'Price Move Alert',
+            price: '$0.02',
+            description: 'Monitor sudden token price moves within a rolling window',
+            example: {
+              token: 'ETH',
+              percent: 10, // alert on a 10% move
+              windowMinutes: 60,
+              direction: 'down' // or 'up', 'any'
+            }
+          },
+          {
+            name: 'Chainlink Price Alert',
+            price: '$0.02',
+            description: 'Monitor Chainlink price feeds on-chain, with stale-round alerts',
+            example: {
+              token: 'ETH', // or feed: '0x...'
+              threshold: 2500,
+              direction: 'below', // or 'above'
+              chain: 'base'
+            }
+          },
+          {
+            name: 'Lending Health Factor Alert',
+            price: '$0.05',
+            description: 'Monitor Aave v3 health factors for liquidation protection',
+            example: {
+              address: '0x...',
+              threshold: 1.2,
+              chain: 'base'
+            }
+          },
+          {
+            name: 'Stablecoin Depeg Alert',
+            price: '$0.02',
+            description: 'Monitor stablecoins for deviations from their peg',
+            example: {
+              tokens: ['USDC', 'USDT', 'DAI'],
+              thresholdBps: 50 // 0.5%
+            }
+          },
+          {
+            name: 'Token Approval Alert',
+            price: '$0.03',
+            description: 'Security watcher for large or unlimited ERC-20 approvals',
+            example: {
+              owner: '0x...',
+              tokens: ['0x...'], // optional filter in discovery mode
+              spenders: ['0x...'], // omit to discover new Approval events
+              threshold: 1000,
+              chain: 'base'
+            }
+          },
+          {
+            name: 'Proxy Upgrade Alert',
+            price: '$0.03',
+            description: 'Catch unannounced implementation swaps on upgradeable contracts',
+            example: {
+              address: '0x...',
+              chain: 'ethereum'
+            }
+          },
+          {
+            name: 'HTTP JSON Alert',
+            price: '$0.02',
+            description: 'Watch any public JSON API without shipping code',
+            example: {
+              url: 'https://status.example.com/api/v2/status.json',
+              path: '$.status.indicator',
+              operator: 'neq',
+              threshold: 'none'
+            }
+          },
+          {
+            name: 'Composite Alert',
+            price: '$0.03',
+            description: 'AND / OR across any built-in executors in one watcher',
+            example: {
+              logic: 'and',
+              conditions: [
+                { executorId: 'token-price', config: { token: 'ETH', threshold: 2500, direction: 'below' } },
+                { executorId: 'wallet-balance', config: { address: '0x...', threshold: 0.5, direction: 'below' } }
+              ]
+            }
+          },
+          {
+            name: 'Portfolio Value Alert',
+            price: '$0.03',
+            description: 'Total USD value of wallets across chains',
+            example: {
+              addresses: ['0x...', '0x...'],
+              tokens: [{ chain: 'base', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' }],
+              threshold: 50000,
+              direction: 'below'
+            }
+          },
+          {
+            name: 'NFT Transfer Alert',
+            price: '$0.02',
+            description: 'Owner changes, holder transfers and holding counts for ERC-721/1155',
+            example: {
+              collection: '0x...',
+              mode: 'holder',
+              address: '0x...',
+              chain: 'base'
+            }
+          },
+          {
+            name: 'Gas Price Alert',
+            price: '$0.01',
+            description: 'Wait for cheap gas before settling',
+            example: {
+              chain: 'ethereum',
+              threshold: 10,
+              direction: 'below',
+              consecutiveChecks: 3
+            }
+          },
+          {
+            name: 'Address Activity Alert',
+            price: '$0.02',
+            description: 'Any outgoing transaction or incoming ETH, with tx hashes',
+            example: {
+              address: '0x...',
+              watch: 'outgoing',
+              chain: 'ethereum'
+            }
+          },
+          {
+            name: 'Feed Alert',
+            price: '$0.01',
+            description: 'New RSS/Atom/JSON Feed items matching keywords or a regex',
+            example: {
+              url: 'https://blog.example.org/feed.xml',
+              keywords: ['security', 'incident']
+            }
+          },
+          {
+            name: 'Anomaly Alert',
+            price: '$0.03',
+            description: 'Z-score / percentile outliers on any numeric executor',
+            example: {
+              executorId: 'gas-price',
+              config: { chain: 'ethereum' },
+              method: 'zscore',
+              zThreshold: 3
             }
           }
         ]
@@ -309,11 +501,13 @@ async function initializeApp() {
           'GET /stats': 'Platform statistics',
           'GET /marketplace': 'Marketplace overview',
           'GET /marketplace/operators': 'List all operators',
-          'GET /marketplace/types': 'List available watcher types'
+          'GET /marketplace/types': 'List available watcher types',
+          'GET /marketplace/tokens': 'List the token registry'
         },
         operators: {
           'POST /marketplace/operators': 'Register as operator (free)',
           'POST /marketplace/types': 'Create watcher type (free)',
+          'POST /marketplace/tokens': 'Add a token to the registry (signed by the operator wallet, free)',
           'GET /operators/:id/sla-violations': 'View your SLA violations',
           'POST /sla-violations/:id/acknowledge': 'Acknowledge SLA issue'
         },
@@ -373,7 +567,7 @@ async function initializeApp() {
 ╠═══════════════════════════════════════════════════════════════╣
 ║  🌐 Service:     http://localhost:${PORT}/                       ║
 ║  📊 Marketplace: http://localhost:${PORT}/marketplace            ║
-║  💳 Payments:    x402 on Base (${NETWORK})           ║
+║  💳 Payments:    x402 on ${describeChain(PAYMENT_CHAIN).displayName} (${NETWORK})           ║
 ║  👛 Wallet:      ${PLATFORM_WALLET.slice(0, 10)}...${PLATFORM_WALLET.slice(-8)}                ║
 ║  💰 Fee split:   20% platform / 80% operator                  ║
 ╚═══════════════════════════════════════════════════════════════╝
@@ -401,7 +595,7 @@ async function autoSeed() {
     operatorId: operator.id,
     name: 'Wallet Balance Alert',
     category: 'wallet',
-    description: 'Get notified when a wallet balance goes above or below a threshold. Supports Base, Ethereum, Optimism, and Arbitrum.',
+    description: 'Get notified when a wallet balance goes above or below a threshold. Supports Base, Ethereum, Polygon and the major L2s.',
     price: 0.01,
     executorId: 'wallet-balance',
   });
@@ -411,17 +605,188 @@ async function autoSeed() {
     operatorId: operator.id,
     name: 'Token Price Alert',
     category: 'price',
-    description: 'Get notified when a token price crosses a threshold. Uses CoinGecko for price data.',
+    description: 'Get notified when a token price crosses a threshold. Uses CoinGecko by default, with Chainlink and Uniswap v3 TWAP as failover or median sources.',
     price: 0.01,
     executorId: 'token-price',
   });
   
-  console.log('✅ Marketplace seeded with SparkOC operator and 2 watcher types');
+  // Create token balance watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Token Balance Alert',
+    category: 'wallet',
+    description: 'Get notified when an ERC-20 token balance (e.g., USDC) goes above or below a threshold. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.01,
+    executorId: 'token-balance',
+  });
+  
+  // Create contract event watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Contract Event Alert',
+    category: 'contract',
+    description: 'Get notified when a smart contract emits a matching event log. Filter on indexed arguments. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.02,
+    executorId: 'contract-event',
+  });
+  
+  // Create contract read watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Contract Read Alert',
+    category: 'contract',
+    description: 'Get notified when any view function (e.g. a vault\'s totalAssets() or an oracle\'s latestAnswer()) crosses a threshold or changes. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.02,
+    executorId: 'contract-call',
+  });
+  
+  // Create price move watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Price Move Alert',
+    category: 'price',
+    description: 'Get notified when a token price moves more than X% within a time window (e.g. -10% in 1 hour). Uses CoinGecko for price data.',
+    price: 0.02,
+    executorId: 'price-change',
+  });
+  
+  // Create Chainlink price watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Chainlink Price Alert',
+    category: 'price',
+    description: 'Get notified when a Chainlink price feed crosses a threshold, or when the feed goes stale. Reads on-chain on Base, Ethereum, Optimism, and Arbitrum.',
+    price: 0.02,
+    executorId: 'chainlink-price',
+  });
+  
+  // Create lending health factor watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Lending Health Factor Alert',
+    category: 'defi',
+    description: 'Get notified when an Aave v3 position\'s health factor drops below a threshold, before it gets liquidated. Alerts include collateral, debt and health factor. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.05,
+    executorId: 'aave-health',
+  });
+  
+  // Create stablecoin depeg watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Stablecoin Depeg Alert',
+    category: 'price',
+    description: 'Get notified when any of your stablecoins (USDC, USDT, DAI or any CoinGecko ID) deviates from its peg by more than N basis points. Uses CoinGecko for price data.',
+    price: 0.02,
+    executorId: 'stablecoin-depeg',
+  });
+  
+  // Create token approval watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Token Approval Alert',
+    category: 'security',
+    description: 'Get notified when a wallet grants a large or unlimited ERC-20 approval, either to spenders you list or discovered from Approval events. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.03,
+    executorId: 'token-approval',
+  });
+  
+  // Create proxy upgrade watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Proxy Upgrade Alert',
+    category: 'security',
+    description: 'Get notified when an upgradeable contract\'s EIP-1967 implementation, admin or beacon changes, or its bytecode changes. Supports Base, Ethereum, Polygon and the major L2s.',
+    price: 0.03,
+    executorId: 'proxy-upgrade',
+  });
+  
+  // Create HTTP JSON watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'HTTP JSON Alert',
+    category: 'custom',
+    description: 'Get notified when a value in any public JSON API (status pages, exchange endpoints, agent health checks) crosses a threshold, equals a value, or changes.',
+    price: 0.02,
+    executorId: 'http-json',
+  });
+  
+  // Create Composite watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Composite Alert',
+    category: 'custom',
+    description: 'Combine several conditions with AND / OR logic in a single watcher, e.g. ETH below $2500 AND a Base wallet below 0.5 ETH. Results from every condition arrive in one webhook.',
+    price: 0.03,
+    executorId: 'composite',
+  });
+  
+  // Create Portfolio Value watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Portfolio Value Alert',
+    category: 'wallet',
+    description: 'Get notified when the combined USD value of several wallets (native ETH or POL plus chosen ERC-20s) across chains goes above or below a threshold.',
+    price: 0.03,
+    executorId: 'portfolio-value',
+  });
+  
+  // Create NFT Transfer watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'NFT Transfer Alert',
+    category: 'wallet',
+    description: 'Get notified when an ERC-721 token changes owner, a wallet gains or loses NFTs from a collection (ERC-721 or ERC-1155), or its holdings cross a count. Useful for NFT-gated access.',
+    price: 0.02,
+    executorId: 'nft-transfer',
+  });
+  
+  // Create Gas Price watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Gas Price Alert',
+    category: 'price',
+    description: 'Get notified when gas on Base, Ethereum, Polygon or an L2 drops below or rises above a gwei threshold, optionally only after it has held for N consecutive checks.',
+    price: 0.01,
+    executorId: 'gas-price',
+  });
+  
+  // Create Address Activity watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Address Activity Alert',
+    category: 'security',
+    description: 'Get notified whenever a watched address sends a transaction (nonce increase) or receives ETH, with the transaction hashes found since the last check. Built for cold wallets.',
+    price: 0.02,
+    executorId: 'address-activity',
+  });
+  
+  // Create Feed watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Feed Alert',
+    category: 'social',
+    description: 'Get notified about new posts in any RSS, Atom or JSON Feed, such as governance blogs, security advisories or changelogs. Optional keyword or regex filters; each item is sent once.',
+    price: 0.01,
+    executorId: 'feed',
+  });
+  
+  // Create Anomaly watcher type
+  await store.createWatcherType({
+    operatorId: operator.id,
+    name: 'Anomaly Alert',
+    category: 'custom',
+    description: 'Get notified when something weird happens: wraps any numeric executor (price, balance, gas) and fires when the latest reading is a z-score or percentile outlier against its own recent history. No fixed threshold needed.',
+    price: 0.03,
+    executorId: 'anomaly',
+  });
+  
+  console.log('✅ Marketplace seeded with SparkOC operator and 19 watcher types');
 }
 
 // Boot
 initializeApp()
   .then(() => autoSeed())
+  .then(() => loadTokenRegistry())
   .catch(err => {
     console.error('Failed to start:', err);
     process.exit(1);
@@ -2,6 +2,7 @@
 
 import * as store from './store.js';
 import { PLATFORM_FEE, OPERATOR_SHARE } from './models.js';
+import { PAYMENT_NETWORK } from './chains.js';
 
 /**
  * Find all watchers that have billing due (nextBillingAt <= now)
@@ -101,7 +102,7 @@ export async function processBilling(watcherId) {
       amount: watcherType.price,
       operatorShare: watcherType.price * OPERATOR_SHARE,
       platformShare: watcherType.price * PLATFORM_FEE,
-      network: process.env.NETWORK || 'eip155:8453',
+      network: PAYMENT_NETWORK,
     });
 
     const billingRecord = {
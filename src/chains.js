@@ -0,0 +1,149 @@
+// x402-sentinel: Chain registry - names, viem chains, CAIP-2 IDs and RPC clients
+
+import { createPublicClient } from 'viem';
+import { base, baseSepolia, mainnet, sepolia, optimism, arbitrum, polygon, zksync, linea, scroll } from 'viem/chains';
+import { createRpcTransport } from './rpc.js';
+
+/**
+ * Chain definitions. Every chain is identified by its name here (config.chain,
+ * token registry entries, watcher types) and by its CAIP-2 ID in payments.
+ *
+ * {
+ *   chain: viem chain object,
+ *   rpcUrls: default RPC endpoints in fallback order (see src/rpc.js to override),
+ *   nativePriceId: CoinGecko ID of the native asset (null on testnets: worthless),
+ * }
+ */
+export const CHAIN_REGISTRY = {
+  base: {
+    chain: base,
+    rpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+    nativePriceId: 'ethereum',
+  },
+  'base-sepolia': {
+    chain: baseSepolia,
+    rpcUrls: ['https://sepolia.base.org', 'https://base-sepolia-rpc.publicnode.com'],
+    nativePriceId: null,
+  },
+  ethereum: {
+    chain: mainnet,
+    rpcUrls: ['https://eth.llamarpc.com', 'https://ethereum-rpc.publicnode.com'],
+    nativePriceId: 'ethereum',
+  },
+  sepolia: {
+    chain: sepolia,
+    rpcUrls: ['https://ethereum-sepolia-rpc.publicnode.com', 'https://11155111.rpc.thirdweb.com'],
+    nativePriceId: null,
+  },
+  optimism: {
+    chain: optimism,
+    rpcUrls: ['https://mainnet.optimism.io', 'https://optimism-rpc.publicnode.com'],
+    nativePriceId: 'ethereum',
+  },
+  arbitrum: {
+    chain: arbitrum,
+    rpcUrls: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com'],
+    nativePriceId: 'ethereum',
+  },
+  polygon: {
+    chain: polygon,
+    rpcUrls: ['https://polygon-rpc.com', 'https://polygon-bor-rpc.publicnode.com'],
+    nativePriceId: 'polygon-ecosystem-token',
+  },
+  zksync: {
+    chain: zksync,
+    rpcUrls: ['https://mainnet.era.zksync.io'],
+    nativePriceId: 'ethereum',
+  },
+  linea: {
+    chain: linea,
+    rpcUrls: ['https://rpc.linea.build', 'https://linea-rpc.publicnode.com'],
+    nativePriceId: 'ethereum',
+  },
+  scroll: {
+    chain: scroll,
+    rpcUrls: ['https://rpc.scroll.io', 'https://scroll-rpc.publicnode.com'],
+    nativePriceId: 'ethereum',
+  },
+};
+
+// Enabled chains: all of them, or the comma-separated CHAINS env var
+export const CHAIN_NAMES = process.env.CHAINS
+  ? process.env.CHAINS.split(',').map(name => name.trim()).filter(Boolean)
+  : Object.keys(CHAIN_REGISTRY);
+
+for (const name of CHAIN_NAMES) {
+  if (!CHAIN_REGISTRY[name]) {
+    throw new Error(`Unknown chain in CHAINS: ${name}. Available: ${Object.keys(CHAIN_REGISTRY).join(', ')}`);
+  }
+}
+if (CHAIN_NAMES.length === 0) {
+  throw new Error('CHAINS must name at least one chain');
+}
+
+// Chain used when a config leaves `chain` out (and the default payment chain):
+// base, or the first enabled chain when CHAINS leaves base out
+export const DEFAULT_CHAIN = CHAIN_NAMES.includes('base') ? 'base' : CHAIN_NAMES[0];
+
+// Chain clients for the enabled chains (shared by the on-chain executors)
+export const chains = Object.fromEntries(CHAIN_NAMES.map(name => [
+  name,
+  createPublicClient({
+    chain: CHAIN_REGISTRY[name].chain,
+    transport: createRpcTransport(name, CHAIN_REGISTRY[name].rpcUrls),
+  }),
+]));
+
+/**
+ * CAIP-2 ID of a chain (e.g. "eip155:8453" for base)
+ */
+export function caip2(name) {
+  return `eip155:${CHAIN_REGISTRY[name].chain.id}`;
+}
+
+/**
+ * Chain name for a chain name or CAIP-2 ID (null if unknown)
+ */
+export function resolveChainName(nameOrCaip2) {
+  if (CHAIN_REGISTRY[nameOrCaip2]) return nameOrCaip2;
+  return Object.keys(CHAIN_REGISTRY).find(name => caip2(name) === nameOrCaip2) || null;
+}
+
+/**
+ * Public summary of a chain, as exposed by the API
+ */
+export function describeChain(name) {
+  const { chain } = CHAIN_REGISTRY[name];
+  return {
+    name,
+    displayName: chain.name,
+    caip2: caip2(name),
+    chainId: chain.id,
+    nativeSymbol: chain.nativeCurrency.symbol,
+    testnet: Boolean(chain.testnet),
+  };
+}
+
+/**
+ * Validate a list of chain names (e.g. a watcher type's declared chains), pushing messages onto errors
+ */
+export function validateChains(names, errors) {
+  if (!Array.isArray(names) || names.length === 0) {
+    errors.push('Chains must be a non-empty array');
+    return;
+  }
+  for (const name of names) {
+    if (!chains[name]) {
+      errors.push(`Unsupported chain: ${name}. Available: ${CHAIN_NAMES.join(', ')}`);
+    }
+  }
+}
+
+// Payments: NETWORK may be a chain name ("base-sepolia") or a CAIP-2 ID ("eip155:84532")
+const paymentChain = resolveChainName(process.env.NETWORK || DEFAULT_CHAIN);
+if (!paymentChain) {
+  throw new Error(`Unknown NETWORK: ${process.env.NETWORK}. Use a chain name (${Object.keys(CHAIN_REGISTRY).join(', ')}) or its CAIP-2 ID`);
+}
+
+export const PAYMENT_CHAIN = paymentChain;
+export const PAYMENT_NETWORK = caip2(paymentChain);
@@ -0,0 +1,134 @@
+// Aave Health Factor Executor
+// Watches for an Aave v3 (or fork) position's health factor dropping below a threshold
+
+import { parseAbi, formatUnits } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+
+const POOL_ABI = parseAbi([
+  'function getUserAccountData(address user) view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+]);
+
+// Aave v3 Pool per chain
+const AAVE_V3_POOLS = {
+  base: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5',
+  ethereum: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+  optimism: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+  arbitrum: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+  polygon: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+};
+
+// Aave v3 reports account values in USD with 8 decimals
+const BASE_CURRENCY_DECIMALS = 8;
+
+export const aaveHealthExecutor = {
+  describe() {
+    return {
+      id: 'aave-health',
+      name: 'Lending Health Factor Alert',
+      category: 'defi',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when an Aave v3 position\'s health factor drops below a threshold',
+      configSchema: {
+        type: 'object',
+        required: ['address', 'threshold'],
+        properties: {
+          address: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Borrower address to watch',
+          },
+          threshold: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Health factor threshold (liquidation happens below 1.0)',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain the position is on',
+          },
+          pool: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Pool address for Aave v3 forks (default: the Aave v3 Pool)',
+          },
+        },
+      },
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.address || !config.address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid address format');
+    }
+    if (typeof config.threshold !== 'number' || config.threshold <= 0) {
+      errors.push('Threshold must be a positive number');
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+    if (config.pool && !config.pool.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid pool address');
+    } else if (!config.pool && !AAVE_V3_POOLS[config.chain || DEFAULT_CHAIN]) {
+      errors.push(`No Aave v3 Pool known on ${config.chain}; set pool`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    const pool = config.pool || AAVE_V3_POOLS[chain];
+    const [
+      totalCollateralBase,
+      totalDebtBase,
+      availableBorrowsBase,
+      currentLiquidationThreshold,
+      ltv,
+      healthFactorRaw,
+    ] = await client.readContract({
+      address: pool,
+      abi: POOL_ABI,
+      functionName: 'getUserAccountData',
+      args: [config.address],
+    });
+
+    const toUsd = (value) => parseFloat(formatUnits(value, BASE_CURRENCY_DECIMALS));
+
+    // Positions without debt report a health factor of uint256 max
+    const hasDebt = totalDebtBase > 0n;
+    const healthFactor = hasDebt ? parseFloat(formatUnits(healthFactorRaw, 18)) : null;
+
+    const triggered = hasDebt && healthFactor < config.threshold;
+
+    return {
+      triggered,
+      ...(hasDebt && { value: healthFactor }),
+      data: {
+        address: config.address,
+        chain,
+        pool,
+        healthFactor,
+        collateralUsd: toUsd(totalCollateralBase),
+        debtUsd: toUsd(totalDebtBase),
+        availableBorrowsUsd: toUsd(availableBorrowsBase),
+        liquidationThreshold: Number(currentLiquidationThreshold) / 10000,
+        ltv: Number(ltv) / 10000,
+        threshold: config.threshold,
+        direction: 'below',
+        condition: hasDebt
+          ? `Health factor ${healthFactor.toFixed(4)} is ${triggered ? '' : 'not '}below ${config.threshold}`
+          : 'No debt, position cannot be liquidated',
+      },
+    };
+  },
+};
@@ -0,0 +1,64 @@
+// ABI helpers shared by the contract executors
+
+import { parseAbiItem } from 'viem';
+
+/**
+ * Parse an ABI fragment given either as a human-readable signature
+ * (e.g. "event Transfer(address indexed from, address indexed to, uint256 value)")
+ * or as a JSON ABI item. Throws if the fragment is not of the expected type.
+ * JSON items may leave out `inputs` (and `outputs` on functions); they default to [].
+ */
+export function parseAbiFragment(fragment, type) {
+  let item;
+  try {
+    item = typeof fragment === 'string' ? parseAbiItem(fragment) : fragment;
+  } catch (e) {
+    throw new Error(`Invalid ABI fragment: ${e.shortMessage || e.message}`);
+  }
+
+  if (!item || typeof item !== 'object' || item.type !== type || !item.name) {
+    throw new Error(`ABI fragment must be a named ${type}`);
+  }
+
+  const lists = type === 'function' ? ['inputs', 'outputs'] : ['inputs'];
+  for (const list of lists) {
+    if (item[list] !== undefined && !Array.isArray(item[list])) {
+      throw new Error(`ABI fragment ${list} must be an array`);
+    }
+  }
+
+  return {
+    ...item,
+    inputs: item.inputs ?? [],
+    ...(type === 'function' && { outputs: item.outputs ?? [] }),
+  };
+}
+
+/**
+ * Coerce JSON call arguments into the types viem expects
+ * (integer inputs are passed as numbers or decimal strings and become bigints)
+ */
+export function coerceArgs(inputs, args = []) {
+  return inputs.map((input, i) => {
+    const value = args[i];
+    if (/^u?int\d*$/.test(input.type)) {
+      return BigInt(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * Convert decoded contract values into JSON-safe data
+ * (bigints become strings so they survive webhook payloads and the store)
+ */
+export function toJsonSafe(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonSafe);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, toJsonSafe(v)])
+    );
+  }
+  return value;
+}
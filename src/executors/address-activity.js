@@ -0,0 +1,289 @@
+// Address Activity Executor
+// Watches an address for outgoing transactions (nonce increases) and incoming native value
+
+import { formatEther } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+
+const WATCH_OPTIONS = ['all', 'outgoing', 'incoming'];
+
+// Only blocks where the nonce or balance moved are fetched. They are found by
+// bisecting the address's state over the blocks since the last check, which
+// costs about log2(blocks) state reads per change. The window covers
+// MAX_SCAN_SECONDS of blocks at the chain's block time, so the longest polling
+// interval (60 min) is covered on every chain.
+const MAX_SCAN_SECONDS = 2 * 60 * 60;
+const DEFAULT_BLOCK_TIME_MS = 12000;
+const MAX_STATE_PROBES = 100;
+const MAX_CHANGED_BLOCKS = 10;
+const MAX_TRANSACTIONS_PER_ALERT = 50;
+
+/**
+ * How many blocks back a check looks, from the chain's block time
+ */
+function scanBlocks(client) {
+  const blockTimeMs = client.chain.blockTime || DEFAULT_BLOCK_TIME_MS;
+  return Math.ceil(MAX_SCAN_SECONDS * 1000 / blockTimeMs);
+}
+
+/**
+ * The address's nonce and balance at a block
+ */
+async function snapshotAt(client, address, blockNumber) {
+  const [nonce, balance] = await Promise.all([
+    client.getTransactionCount({ address, blockNumber: BigInt(blockNumber) }),
+    client.getBalance({ address, blockNumber: BigInt(blockNumber) }),
+  ]);
+  return { nonce, balance };
+}
+
+/**
+ * Blocks in (from, to] where the address's nonce or balance changed, given its
+ * state at both ends. `complete` is false if the probe or block caps cut the
+ * search short, or the node no longer has the state for part of the range.
+ */
+async function findChangedBlocks(client, address, from, fromState, to, toState) {
+  const blocks = [];
+  let probes = 0;
+  let complete = true;
+  const same = (a, b) => a.nonce === b.nonce && a.balance === b.balance;
+
+  async function bisect(lo, loState, hi, hiState) {
+    if (same(loState, hiState)) return;
+    if (blocks.length >= MAX_CHANGED_BLOCKS || (hi > lo + 1 && probes >= MAX_STATE_PROBES)) {
+      complete = false;
+      return;
+    }
+    if (hi === lo + 1) {
+      blocks.push(hi);
+      return;
+    }
+    probes++;
+    const mid = Math.floor((lo + hi) / 2);
+    let midState;
+    try {
+      midState = await snapshotAt(client, address, mid);
+    } catch (e) {
+      // Pruned state on a non-archive node: leave this range unresolved
+      complete = false;
+      return;
+    }
+    await bisect(lo, loState, mid, midState);
+    await bisect(mid, midState, hi, hiState);
+  }
+
+  await bisect(from, fromState, to, toState);
+  return { blocks, complete };
+}
+
+/**
+ * The address's transactions in the given blocks. Outgoing ones carry `spent`
+ * (value actually sent plus gas and any L1 data fee, in wei) from their receipt.
+ */
+async function findTransactions(client, address, blockNumbers) {
+  const target = address.toLowerCase();
+  const transactions = [];
+
+  for (const blockNumber of blockNumbers) {
+    const block = await client.getBlock({ blockNumber: BigInt(blockNumber), includeTransactions: true });
+
+    for (const tx of block.transactions) {
+      const outgoing = tx.from?.toLowerCase() === target;
+      const incoming = tx.to?.toLowerCase() === target && tx.value > 0n;
+      if (!outgoing && !incoming) continue;
+
+      let spent = null;
+      if (outgoing) {
+        const receipt = await client.getTransactionReceipt({ hash: tx.hash });
+        const sentValue = receipt.status === 'success' ? tx.value : 0n;
+        spent = sentValue + receipt.gasUsed * receipt.effectiveGasPrice + (receipt.l1Fee ?? 0n);
+      }
+
+      transactions.push({
+        hash: tx.hash,
+        // A transfer to itself is both sent and received
+        direction: outgoing && incoming ? 'self' : outgoing ? 'outgoing' : 'incoming',
+        from: tx.from,
+        to: tx.to,
+        value: parseFloat(formatEther(tx.value)),
+        blockNumber: Number(block.number),
+        spent,
+      });
+    }
+  }
+
+  return transactions;
+}
+
+export const addressActivityExecutor = {
+  describe() {
+    return {
+      id: 'address-activity',
+      name: 'Address Activity Alert',
+      category: 'security',
+      chains: CHAIN_NAMES,
+      description: 'Get notified whenever an address sends a transaction or receives ETH, with the transaction hashes',
+      configSchema: {
+        type: 'object',
+        required: ['address'],
+        properties: {
+          address: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Address to watch (e.g., a cold wallet)',
+          },
+          watch: {
+            type: 'string',
+            enum: WATCH_OPTIONS,
+            default: 'all',
+            description: 'Which activity fires the watcher',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to monitor',
+          },
+        },
+      },
+      notes: `Activity is detected from the nonce and balance. Transaction hashes come from the blocks (at most ${MAX_CHANGED_BLOCKS}, within the last ${MAX_SCAN_SECONDS / 3600} hours of blocks) where either changed; ETH received through internal calls has no hash of its own.`,
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.address || !config.address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid address format');
+    }
+    if (config.watch !== undefined && !WATCH_OPTIONS.includes(config.watch)) {
+      errors.push(`Watch must be one of: ${WATCH_OPTIONS.join(', ')}`);
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Record the nonce and balance activity is measured from
+  async init(config) {
+    const client = chains[config.chain || DEFAULT_CHAIN];
+    return readSnapshot(client, config.address);
+  },
+
+  async check(config, state = {}) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    const current = await readSnapshot(client, config.address);
+
+    // First run without a snapshot: start watching from now
+    if (state.lastBlock == null) {
+      return {
+        triggered: false,
+        data: {
+          address: config.address,
+          chain,
+          nonce: current.nonce,
+          balance: parseFloat(formatEther(BigInt(current.balance))),
+          transactions: [],
+          condition: 'Baseline recorded',
+        },
+        state: current,
+      };
+    }
+
+    const sent = current.nonce - state.nonce;
+    const balanceChange = BigInt(current.balance) - BigInt(state.balance);
+
+    // Only pay for block reads when something actually happened
+    let transactions = [];
+    let scannedFrom = null;
+    let complete = true;
+    const activity = sent > 0 || balanceChange !== 0n;
+    if (activity && current.lastBlock > state.lastBlock) {
+      scannedFrom = Math.max(state.lastBlock + 1, current.lastBlock - scanBlocks(client) + 1);
+      // Past the window, the state just before it has to be read
+      const fromState = scannedFrom === state.lastBlock + 1
+        ? { nonce: state.nonce, balance: BigInt(state.balance) }
+        : await snapshotAt(client, config.address, scannedFrom - 1).catch(() => null);
+      if (fromState) {
+        const changed = await findChangedBlocks(
+          client, config.address,
+          scannedFrom - 1, fromState,
+          current.lastBlock, { nonce: current.nonce, balance: BigInt(current.balance) }
+        );
+        complete = changed.complete && scannedFrom === state.lastBlock + 1;
+        transactions = await findTransactions(client, config.address, changed.blocks);
+      } else {
+        complete = false;
+      }
+    }
+
+    const outgoing = transactions.filter(tx => tx.direction !== 'incoming');
+    const incoming = transactions.filter(tx => tx.direction !== 'outgoing');
+
+    // What came in is the balance change plus what went out (value, gas and
+    // fees), which also covers ETH received through internal calls. That needs
+    // every outgoing transaction; otherwise fall back to the visible evidence.
+    let receivedWei = null;
+    if (complete && outgoing.length === sent) {
+      receivedWei = balanceChange + outgoing.reduce((sum, tx) => sum + tx.spent, 0n);
+    } else if (sent === 0 && balanceChange > 0n) {
+      receivedWei = balanceChange;
+    }
+    const received = incoming.length > 0 || (receivedWei !== null && receivedWei > 0n);
+    const receivedAmount = receivedWei !== null && receivedWei > 0n
+      ? parseFloat(formatEther(receivedWei))
+      : incoming.reduce((sum, tx) => sum + tx.value, 0);
+
+    const watch = config.watch || 'all';
+    const triggered = (watch !== 'incoming' && sent > 0) || (watch !== 'outgoing' && received);
+
+    const parts = [];
+    if (sent > 0) parts.push(`sent ${sent} transaction(s)`);
+    if (received) parts.push(`received ${receivedAmount} ${client.chain.nativeCurrency.symbol}`);
+
+    return {
+      triggered,
+      data: {
+        address: config.address,
+        chain,
+        nonce: current.nonce,
+        previousNonce: state.nonce,
+        outgoingCount: Math.max(sent, 0),
+        balance: parseFloat(formatEther(BigInt(current.balance))),
+        balanceChange: parseFloat(formatEther(balanceChange)),
+        receivedAmount: received ? receivedAmount : 0,
+        transactions: transactions.slice(0, MAX_TRANSACTIONS_PER_ALERT).map(({ spent, ...tx }) => tx),
+        truncated: transactions.length > MAX_TRANSACTIONS_PER_ALERT,
+        scannedBlocks: scannedFrom !== null ? { from: scannedFrom, to: current.lastBlock } : null,
+        // Hashes may be missing if the last check is older than the window,
+        // the activity spanned more blocks than one check reads, or the node
+        // had pruned the state in between
+        partialScan: !complete,
+        condition: parts.length > 0
+          ? `${config.address} ${parts.join(' and ')} since block ${state.lastBlock}`
+          : `No activity from ${config.address} since block ${state.lastBlock}`,
+      },
+      state: current,
+    };
+  },
+};
+
+/**
+ * Read the address's nonce and balance at the latest block
+ */
+async function readSnapshot(client, address) {
+  const latest = await client.getBlockNumber();
+  const [nonce, balance] = await Promise.all([
+    client.getTransactionCount({ address, blockNumber: latest }),
+    client.getBalance({ address, blockNumber: latest }),
+  ]);
+  // The balance is stored as a string since state is persisted as JSON
+  return { nonce, balance: balance.toString(), lastBlock: Number(latest) };
+}
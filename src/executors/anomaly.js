@@ -0,0 +1,243 @@
+// Anomaly Executor
+// Wraps another executor's numeric output and fires on z-score or percentile outliers
+
+import { getExecutor } from './index.js';
+
+const METHODS = ['zscore', 'percentile'];
+const SIDES = ['both', 'high', 'low'];
+
+const DEFAULT_WINDOW = 50;
+const MAX_WINDOW = 500;
+const DEFAULT_MIN_SAMPLES = 10;
+const DEFAULT_Z_THRESHOLD = 3;
+const DEFAULT_PERCENTILE = 99;
+
+// The wrapped executor's own threshold comparison is ignored, so its
+// threshold/direction/operator may be omitted and these placeholders are used
+const CHILD_PLACEHOLDERS = { threshold: 1, direction: 'above', operator: 'gt' };
+
+// Wrapping these makes no sense (no numeric value, or nested windows)
+const UNWRAPPABLE = ['anomaly', 'composite'];
+
+/**
+ * Read the sample from a check result: a data field if configured, else `value`
+ */
+function readSample(result, field) {
+  let sample = result.value;
+  if (field) {
+    sample = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), result.data);
+  }
+  const numeric = typeof sample === 'string' ? Number(sample) : sample;
+  if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+    throw new Error(field
+      ? `Field ${field} is not numeric (got ${JSON.stringify(sample)})`
+      : 'Wrapped executor returned no numeric value; set field');
+  }
+  return numeric;
+}
+
+/**
+ * Mean / standard deviation z-score of x against the samples (null if they don't vary)
+ */
+function zScore(samples, x) {
+  const mean = samples.reduce((sum, s) => sum + s, 0) / samples.length;
+  const variance = samples.reduce((sum, s) => sum + (s - mean) ** 2, 0) / samples.length;
+  const std = Math.sqrt(variance);
+  return { mean, std, z: std > 0 ? (x - mean) / std : null };
+}
+
+/**
+ * Percentile rank (0-100) of x among the samples, counting ties as half
+ */
+function percentileRank(samples, x) {
+  const below = samples.filter(s => s < x).length;
+  const equal = samples.filter(s => s === x).length;
+  return ((below + equal / 2) / samples.length) * 100;
+}
+
+const round = (n, digits = 4) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+export const anomalyExecutor = {
+  describe() {
+    return {
+      id: 'anomaly',
+      name: 'Anomaly Alert',
+      category: 'custom',
+      description: 'Get notified when a price, balance or gas reading is unusual compared to its recent history, with no fixed threshold',
+      configSchema: {
+        type: 'object',
+        required: ['executorId', 'config'],
+        properties: {
+          executorId: {
+            type: 'string',
+            description: 'Built-in executor whose numeric output is watched (e.g., token-price, gas-price)',
+          },
+          config: {
+            type: 'object',
+            description: 'Config for that executor (threshold/direction may be omitted)',
+          },
+          field: {
+            type: 'string',
+            description: 'Dotted path to a numeric field in the executor\'s data (default: its primary value)',
+          },
+          method: {
+            type: 'string',
+            enum: METHODS,
+            default: 'zscore',
+            description: 'zscore: distance from the mean in standard deviations; percentile: rank within the window',
+          },
+          zThreshold: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            default: DEFAULT_Z_THRESHOLD,
+            description: 'Fire when |z| is at least this (zscore method)',
+          },
+          percentile: {
+            type: 'number',
+            exclusiveMinimum: 50,
+            maximum: 100,
+            default: DEFAULT_PERCENTILE,
+            description: 'Fire above this percentile, or below 100 minus it (percentile method)',
+          },
+          side: {
+            type: 'string',
+            enum: SIDES,
+            default: 'both',
+            description: 'Fire on unusually high values, low values, or both',
+          },
+          window: {
+            type: 'number',
+            minimum: 2,
+            maximum: MAX_WINDOW,
+            default: DEFAULT_WINDOW,
+            description: 'Number of recent samples the latest one is compared against',
+          },
+          minSamples: {
+            type: 'number',
+            minimum: 2,
+            default: DEFAULT_MIN_SAMPLES,
+            description: 'Samples to collect before the watcher can fire',
+          },
+        },
+      },
+      notes: 'One sample is taken per check, so the window covers window × pollingInterval minutes. Samples persist with the watcher.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (UNWRAPPABLE.includes(config.executorId)) {
+      errors.push(`Cannot wrap the ${config.executorId} executor`);
+    } else {
+      const executor = getExecutor(config.executorId);
+      if (!executor) {
+        errors.push(`Unknown executor: ${config.executorId}`);
+      } else if (!config.config || typeof config.config !== 'object') {
+        errors.push('Config for the wrapped executor is required');
+      } else if (executor.validate) {
+        const validation = executor.validate({ ...CHILD_PLACEHOLDERS, ...config.config });
+        if (!validation.valid) {
+          errors.push(...validation.errors.map(e => `${config.executorId}: ${e}`));
+        }
+      }
+    }
+
+    if (config.field !== undefined && (typeof config.field !== 'string' || !config.field)) {
+      errors.push('Field must be a dotted path string');
+    }
+    if (config.method !== undefined && !METHODS.includes(config.method)) {
+      errors.push(`Method must be one of: ${METHODS.join(', ')}`);
+    }
+    if (config.side !== undefined && !SIDES.includes(config.side)) {
+      errors.push(`Side must be one of: ${SIDES.join(', ')}`);
+    }
+    if (config.zThreshold !== undefined && (typeof config.zThreshold !== 'number' || config.zThreshold <= 0)) {
+      errors.push('zThreshold must be a positive number');
+    }
+    if (config.percentile !== undefined &&
+        (typeof config.percentile !== 'number' || config.percentile <= 50 || config.percentile > 100)) {
+      // At 50 the two tails meet and every sample counts as an outlier
+      errors.push('Percentile must be above 50 and at most 100');
+    }
+    const window = config.window ?? DEFAULT_WINDOW;
+    if (!Number.isInteger(window) || window < 2 || window > MAX_WINDOW) {
+      errors.push(`Window must be an integer from 2 to ${MAX_WINDOW}`);
+    }
+    if (config.minSamples !== undefined &&
+        (!Number.isInteger(config.minSamples) || config.minSamples < 2 || config.minSamples > window)) {
+      errors.push('minSamples must be an integer from 2 to the window size');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Let the wrapped executor record its own initial state
+  async init(config) {
+    const executor = getExecutor(config.executorId);
+    if (!executor?.init) return { samples: [] };
+    const child = await executor.init({ ...CHILD_PLACEHOLDERS, ...config.config }) || {};
+    return { samples: [], child };
+  },
+
+  async check(config, state = {}) {
+    const executor = getExecutor(config.executorId);
+    if (!executor) {
+      throw new Error(`Unknown executor: ${config.executorId}`);
+    }
+
+    const result = await executor.check({ ...CHILD_PLACEHOLDERS, ...config.config }, state.child || {});
+    const sample = readSample(result, config.field);
+
+    const history = state.samples || [];
+    const method = config.method || 'zscore';
+    const side = config.side || 'both';
+    const minSamples = config.minSamples || DEFAULT_MIN_SAMPLES;
+
+    let triggered = false;
+    let stats = null;
+    let condition;
+
+    if (history.length < minSamples) {
+      condition = `Collecting history (${history.length}/${minSamples} samples)`;
+    } else if (method === 'zscore') {
+      const { mean, std, z } = zScore(history, sample);
+      const limit = config.zThreshold || DEFAULT_Z_THRESHOLD;
+      // A perfectly flat history makes any change an outlier
+      const high = z === null ? sample > mean : z >= limit;
+      const low = z === null ? sample < mean : z <= -limit;
+      triggered = (side !== 'low' && high) || (side !== 'high' && low);
+      stats = { mean: round(mean), std: round(std), z: round(z, 2), zThreshold: limit };
+      condition = `${sample} is ${z === null ? 'off a flat history' : `${round(z, 2)} standard deviations from the mean`} of ${round(mean)} (${triggered ? 'anomaly' : 'normal'})`;
+    } else {
+      const rank = percentileRank(history, sample);
+      const limit = config.percentile || DEFAULT_PERCENTILE;
+      const high = rank >= limit;
+      const low = rank <= 100 - limit;
+      triggered = (side !== 'low' && high) || (side !== 'high' && low);
+      stats = { percentileRank: round(rank, 2), percentile: limit };
+      condition = `${sample} is at the ${round(rank, 1)}th percentile of the last ${history.length} samples (${triggered ? 'anomaly' : 'normal'})`;
+    }
+
+    const samples = [...history, sample].slice(-(config.window || DEFAULT_WINDOW));
+
+    return {
+      triggered,
+      data: {
+        executorId: config.executorId,
+        field: config.field || null,
+        sample,
+        method,
+        side,
+        sampleCount: history.length,
+        ...stats,
+        source: result.data,
+        condition,
+      },
+      state: {
+        samples,
+        child: result.state ?? state.child ?? {},
+      },
+    };
+  },
+};
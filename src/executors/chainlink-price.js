@@ -0,0 +1,222 @@
+// Chainlink Price Executor
+// Watches for token prices from Chainlink aggregators on-chain, and for stale feeds
+
+import { parseAbi, formatUnits } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+
+const AGGREGATOR_ABI = parseAbi([
+  'function decimals() view returns (uint8)',
+  'function description() view returns (string)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+]);
+
+// USD feed registry: chain -> symbol -> { address, heartbeat (seconds) }
+export const CHAINLINK_FEEDS = {
+  base: {
+    'eth': { address: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70', heartbeat: 1200 },
+    'btc': { address: '0x64c911996D3c6aC71f9b455B1E8E7266BcbD848F', heartbeat: 1200 },
+    'usdc': { address: '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B', heartbeat: 86400 },
+  },
+  ethereum: {
+    'eth': { address: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', heartbeat: 3600 },
+    'btc': { address: '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c', heartbeat: 3600 },
+    'usdc': { address: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6', heartbeat: 86400 },
+    'usdt': { address: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D', heartbeat: 86400 },
+    'dai': { address: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9', heartbeat: 3600 },
+    'link': { address: '0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c', heartbeat: 3600 },
+  },
+  optimism: {
+    'eth': { address: '0x13e3Ee699D1909E989722E753853AE30b17e08c5', heartbeat: 1200 },
+    'btc': { address: '0xD702DD976Fb76Fffc2D3963D037dfDae5b04E593', heartbeat: 1200 },
+    'usdc': { address: '0x16a9FA2FDa030272Ce99B29CF780dFA30361E0f3', heartbeat: 86400 },
+    'op': { address: '0x0D276FC14719f9292D5C1eA2198673d1f4269246', heartbeat: 1200 },
+  },
+  arbitrum: {
+    'eth': { address: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', heartbeat: 86400 },
+    'btc': { address: '0x6ce185860a4963106506C203335A2910413708e9', heartbeat: 86400 },
+    'usdc': { address: '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3', heartbeat: 86400 },
+    'arb': { address: '0xb2A824043730FE05F3DA2efaFa1CBbe83fa548D6', heartbeat: 86400 },
+    'link': { address: '0x86E53CF1B870786351Da77A57575e79CB55812CB', heartbeat: 3600 },
+  },
+};
+
+// Heartbeat assumed for custom feed addresses that aren't in the registry
+export const DEFAULT_HEARTBEAT = 3600;
+
+/**
+ * Resolve a token symbol (or an explicit feed address) to a Chainlink feed
+ */
+export function resolveFeed(config) {
+  const chain = config.chain || DEFAULT_CHAIN;
+
+  if (config.feed) {
+    return { address: config.feed, heartbeat: config.maxAgeSeconds || DEFAULT_HEARTBEAT };
+  }
+
+  const feed = CHAINLINK_FEEDS[chain]?.[config.token?.toLowerCase()];
+  if (!feed) return null;
+
+  return { ...feed, heartbeat: config.maxAgeSeconds || feed.heartbeat };
+}
+
+/**
+ * Read the latest round from a Chainlink aggregator
+ */
+export async function readFeed(chain, feed) {
+  const client = chains[chain];
+  if (!client) {
+    throw new Error(`Unsupported chain: ${chain}`);
+  }
+
+  const [decimals, description, round] = await Promise.all([
+    client.readContract({ address: feed.address, abi: AGGREGATOR_ABI, functionName: 'decimals' }),
+    client.readContract({ address: feed.address, abi: AGGREGATOR_ABI, functionName: 'description' }),
+    client.readContract({ address: feed.address, abi: AGGREGATOR_ABI, functionName: 'latestRoundData' }),
+  ]);
+
+  const [roundId, answer, , updatedAt] = round;
+  if (answer <= 0n) {
+    throw new Error(`Chainlink feed ${feed.address} returned a non-positive answer`);
+  }
+
+  const ageSeconds = Math.floor(Date.now() / 1000) - Number(updatedAt);
+
+  return {
+    description,
+    price: parseFloat(formatUnits(answer, decimals)),
+    roundId: roundId.toString(),
+    updatedAt: new Date(Number(updatedAt) * 1000).toISOString(),
+    ageSeconds,
+    stale: ageSeconds > feed.heartbeat,
+  };
+}
+
+export const chainlinkPriceExecutor = {
+  describe() {
+    return {
+      id: 'chainlink-price',
+      name: 'Chainlink Price Alert',
+      category: 'price',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when a Chainlink price feed crosses a threshold or stops updating',
+      configSchema: {
+        type: 'object',
+        required: ['threshold', 'direction'],
+        properties: {
+          token: {
+            type: 'string',
+            description: 'Token symbol with a registered USD feed (e.g., ETH, BTC, USDC)',
+          },
+          feed: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Aggregator address, instead of a registered token',
+          },
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            description: 'Price threshold in the feed\'s quote currency (USD for registered feeds)',
+          },
+          direction: {
+            type: 'string',
+            enum: ['above', 'below'],
+            description: 'Alert when price goes above or below threshold',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to read the feed from',
+          },
+          maxAgeSeconds: {
+            type: 'number',
+            description: 'Treat the feed as stale after this many seconds (default: the feed heartbeat)',
+          },
+          alertOnStale: {
+            type: 'boolean',
+            default: true,
+            description: 'Also alert when the feed round is older than its heartbeat',
+          },
+        },
+      },
+      notes: 'Reads latestRoundData() directly from the aggregator, no off-chain API rate limits.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+    const chain = config.chain || DEFAULT_CHAIN;
+
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+    if (config.feed) {
+      if (!config.feed.match(/^0x[a-fA-F0-9]{40}$/)) {
+        errors.push('Invalid feed address');
+      }
+    } else if (!config.token || typeof config.token !== 'string') {
+      errors.push('Token or feed address is required');
+    } else if (!CHAINLINK_FEEDS[chain]?.[config.token.toLowerCase()]) {
+      const available = Object.keys(CHAINLINK_FEEDS[chain] || {}).map(t => t.toUpperCase());
+      errors.push(`No Chainlink feed for ${config.token} on ${chain}. Available: ${available.join(', ')}`);
+    }
+    if (typeof config.threshold !== 'number' || config.threshold < 0) {
+      errors.push('Threshold must be a non-negative number');
+    }
+    if (!config.expression && !['above', 'below'].includes(config.direction)) {
+      errors.push('Direction must be "above" or "below"');
+    }
+    if (config.maxAgeSeconds !== undefined && (typeof config.maxAgeSeconds !== 'number' || config.maxAgeSeconds <= 0)) {
+      errors.push('maxAgeSeconds must be a positive number');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const feed = resolveFeed(config);
+
+    if (!feed) {
+      throw new Error(`No Chainlink feed for ${config.token} on ${chain}`);
+    }
+
+    const round = await readFeed(chain, feed);
+
+    const crossed = config.direction === 'above'
+      ? round.price > config.threshold
+      : round.price < config.threshold;
+    const stale = round.stale && config.alertOnStale !== false;
+
+    // Staleness is its own trigger reason so consumers don't act on an old price
+    const reasons = [];
+    if (crossed) reasons.push('threshold');
+    if (stale) reasons.push('stale');
+
+    const label = config.token ? config.token.toUpperCase() : round.description;
+    let condition = `${label} at $${round.price.toLocaleString()} is ${crossed ? '' : 'not '}${config.direction} $${config.threshold.toLocaleString()}`;
+    if (round.stale) {
+      condition += ` (feed stale: last update ${round.ageSeconds}s ago, heartbeat ${feed.heartbeat}s)`;
+    }
+
+    return {
+      triggered: reasons.length > 0,
+      value: round.price,
+      data: {
+        token: label,
+        feed: feed.address,
+        chain,
+        price: round.price,
+        roundId: round.roundId,
+        updatedAt: round.updatedAt,
+        ageSeconds: round.ageSeconds,
+        heartbeat: feed.heartbeat,
+        stale: round.stale,
+        reasons,
+        threshold: config.threshold,
+        direction: config.direction,
+        condition,
+      },
+    };
+  },
+};
@@ -0,0 +1,51 @@
+// Comparison operators shared by the executors that compare arbitrary values
+
+export const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'changed'];
+export const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+export const OPERATOR_LABELS = {
+  eq: '==',
+  neq: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+/**
+ * Validate an operator/threshold pair, pushing messages onto errors
+ */
+export function validateComparison(config, errors) {
+  // A condition expression can stand in for the operator
+  if (config.expression && config.operator === undefined) return;
+
+  if (!OPERATORS.includes(config.operator)) {
+    errors.push(`Operator must be one of: ${OPERATORS.join(', ')}`);
+  } else if (NUMERIC_OPERATORS.includes(config.operator) && typeof config.threshold !== 'number') {
+    errors.push(`Threshold must be a number for "${config.operator}"`);
+  } else if (['eq', 'neq'].includes(config.operator) && config.threshold === undefined) {
+    errors.push(`Threshold is required for "${config.operator}"`);
+  }
+}
+
+/**
+ * Compare a value against the configured threshold ("changed" is handled by callers)
+ */
+export function compare(value, operator, threshold) {
+  if (NUMERIC_OPERATORS.includes(operator)) {
+    const numeric = Number(value);
+    if (value === null || value === '' || Number.isNaN(numeric)) {
+      throw new Error(`Value ${JSON.stringify(value)} is not numeric`);
+    }
+    switch (operator) {
+      case 'gt': return numeric > threshold;
+      case 'gte': return numeric >= threshold;
+      case 'lt': return numeric < threshold;
+      case 'lte': return numeric <= threshold;
+    }
+  }
+
+  // eq/neq: compare as strings so addresses, bools and big numbers all work
+  const equal = String(value).toLowerCase() === String(threshold).toLowerCase();
+  return operator === 'eq' ? equal : !equal;
+}
@@ -0,0 +1,165 @@
+// Composite Executor
+// Combines several executor checks with AND / OR logic into one watcher
+
+import { getExecutor } from './index.js';
+import { parseExpression, applyExpression } from '../expression.js';
+
+const LOGIC = ['and', 'or'];
+const MAX_CONDITIONS = 5;
+
+export const compositeExecutor = {
+  describe() {
+    return {
+      id: 'composite',
+      name: 'Composite Alert',
+      category: 'custom',
+      description: 'Get notified when several conditions hold together (AND) or any of them holds (OR)',
+      configSchema: {
+        type: 'object',
+        required: ['logic', 'conditions'],
+        properties: {
+          logic: {
+            type: 'string',
+            enum: LOGIC,
+            description: 'and: every condition must be met, or: at least one',
+          },
+          conditions: {
+            type: 'array',
+            minItems: 2,
+            maxItems: MAX_CONDITIONS,
+            items: {
+              type: 'object',
+              required: ['executorId', 'config'],
+              properties: {
+                executorId: { type: 'string', description: 'Built-in executor ID (e.g., token-price)' },
+                config: { type: 'object', description: 'Config for that executor' },
+              },
+            },
+            description: 'Child conditions, each validated by its own executor',
+          },
+        },
+      },
+      notes: 'All conditions are checked on every run; their results are merged into a single webhook payload.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!LOGIC.includes(config.logic)) {
+      errors.push(`Logic must be one of: ${LOGIC.join(', ')}`);
+    }
+    if (!Array.isArray(config.conditions) || config.conditions.length < 2) {
+      errors.push('At least 2 conditions are required');
+      return { valid: false, errors };
+    }
+    if (config.conditions.length > MAX_CONDITIONS) {
+      errors.push(`At most ${MAX_CONDITIONS} conditions per watcher`);
+    }
+
+    config.conditions.forEach((condition, i) => {
+      const label = `Condition ${i + 1}`;
+      if (!condition || typeof condition !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+      if (condition.executorId === 'composite') {
+        errors.push(`${label}: composite conditions cannot be nested`);
+        return;
+      }
+      const executor = getExecutor(condition.executorId);
+      if (!executor) {
+        errors.push(`${label}: unknown executor ${condition.executorId}`);
+        return;
+      }
+      if (!condition.config || typeof condition.config !== 'object') {
+        errors.push(`${label}: config is required`);
+        return;
+      }
+      if (condition.config.expression !== undefined) {
+        try {
+          parseExpression(condition.config.expression);
+        } catch (e) {
+          errors.push(`${label}: invalid expression: ${e.message}`);
+        }
+      }
+      if (executor.validate) {
+        const validation = executor.validate(condition.config);
+        if (!validation.valid) {
+          errors.push(...validation.errors.map(e => `${label} (${condition.executorId}): ${e}`));
+        }
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Run each child's preflight so a condition that can't work rejects the watcher
+  async preflight(config) {
+    await Promise.all(config.conditions.map(async ({ executorId, config: childConfig }, i) => {
+      const executor = getExecutor(executorId);
+      if (!executor?.preflight) return;
+      try {
+        await executor.preflight(childConfig);
+      } catch (e) {
+        throw new Error(`Condition ${i + 1} (${executorId}): ${e.message}`);
+      }
+    }));
+  },
+
+  // Run each child's init so cursors and baselines start at creation
+  async init(config) {
+    const children = await Promise.all(config.conditions.map(async ({ executorId, config: childConfig }) => {
+      const executor = getExecutor(executorId);
+      if (!executor?.init) return {};
+      try {
+        return await executor.init(childConfig) || {};
+      } catch (e) {
+        // Child falls back to initializing on its first check
+        return {};
+      }
+    }));
+    return { children };
+  },
+
+  async check(config, state = {}) {
+    const childStates = state.children || [];
+
+    const results = await Promise.all(config.conditions.map(async ({ executorId, config: childConfig }, i) => {
+      const executor = getExecutor(executorId);
+      if (!executor) {
+        throw new Error(`Condition ${i + 1}: unknown executor ${executorId}`);
+      }
+      try {
+        return applyExpression(childConfig, await executor.check(childConfig, childStates[i] || {}));
+      } catch (e) {
+        throw new Error(`Condition ${i + 1} (${executorId}): ${e.message}`);
+      }
+    }));
+
+    const triggered = config.logic === 'and'
+      ? results.every(r => r.triggered)
+      : results.some(r => r.triggered);
+
+    const conditions = results.map((result, i) => ({
+      executorId: config.conditions[i].executorId,
+      triggered: Boolean(result.triggered),
+      data: result.data,
+    }));
+
+    return {
+      triggered,
+      data: {
+        logic: config.logic,
+        conditions,
+        condition: conditions
+          .map(c => `${c.data?.condition || c.executorId}${c.triggered ? '' : ' (not met)'}`)
+          .join(config.logic === 'and' ? ' AND ' : ' OR '),
+      },
+      // Children keep their own state (cursors, last values) between checks
+      state: {
+        children: results.map((result, i) => result.state ?? childStates[i] ?? {}),
+      },
+    };
+  },
+};
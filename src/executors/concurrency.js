@@ -0,0 +1,28 @@
+// Concurrency limit for the executors' batched checks
+
+/**
+ * Run async tasks at most `limit` at a time (for checkBatch reads against
+ * rate-limited APIs). Returns run(task), which resolves with task()'s result.
+ */
+export function limitConcurrency(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
@@ -0,0 +1,172 @@
+// Contract Call Executor
+// Calls any read-only contract function and compares the result to a threshold
+
+import { formatUnits } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+import { parseAbiFragment, coerceArgs, toJsonSafe } from './abi.js';
+import { OPERATORS, NUMERIC_OPERATORS, OPERATOR_LABELS, validateComparison, compare } from './compare.js';
+
+export const contractCallExecutor = {
+  describe() {
+    return {
+      id: 'contract-call',
+      name: 'Contract Read Alert',
+      category: 'contract',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when the return value of a view function crosses a threshold or changes',
+      configSchema: {
+        type: 'object',
+        required: ['address', 'function', 'operator'],
+        properties: {
+          address: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Contract address to call',
+          },
+          function: {
+            type: ['string', 'object'],
+            description: 'View function ABI fragment, e.g. "function totalAssets() view returns (uint256)"',
+          },
+          args: {
+            type: 'array',
+            default: [],
+            description: 'Function arguments (integers as numbers or decimal strings)',
+          },
+          outputIndex: {
+            type: 'number',
+            default: 0,
+            description: 'Which return value to compare when the function returns several',
+          },
+          decimals: {
+            type: 'number',
+            description: 'Scale integer return values by 10^decimals before comparing',
+          },
+          operator: {
+            type: 'string',
+            enum: OPERATORS,
+            description: 'How to compare the return value against the threshold',
+          },
+          threshold: {
+            type: ['number', 'string', 'boolean'],
+            description: 'Value to compare against (not used by "changed")',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to call',
+          },
+        },
+      },
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.address || !config.address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid address format');
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+
+    let fn = null;
+    if (!config.function) {
+      errors.push('Function ABI fragment is required');
+    } else {
+      try {
+        fn = parseAbiFragment(config.function, 'function');
+        if (!['view', 'pure'].includes(fn.stateMutability)) {
+          errors.push('Function must be view or pure');
+        }
+        if (fn.outputs.length === 0) {
+          errors.push('Function must return at least one value');
+        }
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+
+    if (config.args !== undefined && !Array.isArray(config.args)) {
+      errors.push('Args must be an array');
+    } else if (fn) {
+      const args = config.args || [];
+      if (args.length !== fn.inputs.length) {
+        errors.push(`Function expects ${fn.inputs.length} argument(s), got ${args.length}`);
+      } else {
+        try {
+          coerceArgs(fn.inputs, args);
+        } catch (e) {
+          errors.push(`Invalid argument: ${e.message}`);
+        }
+      }
+    }
+
+    if (fn?.outputs.length > 0 && config.outputIndex !== undefined &&
+        (!Number.isInteger(config.outputIndex) || config.outputIndex < 0 || config.outputIndex >= fn.outputs.length)) {
+      errors.push(`outputIndex must be between 0 and ${fn.outputs.length - 1}`);
+    }
+    if (config.decimals !== undefined && (!Number.isInteger(config.decimals) || config.decimals < 0)) {
+      errors.push('Decimals must be a non-negative integer');
+    }
+
+    validateComparison(config, errors);
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config, state = {}) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    const fn = parseAbiFragment(config.function, 'function');
+    const result = await client.readContract({
+      address: config.address,
+      abi: [fn],
+      functionName: fn.name,
+      args: coerceArgs(fn.inputs, config.args),
+    });
+
+    // Multiple outputs decode to an array
+    let raw = fn.outputs.length > 1 ? result[config.outputIndex || 0] : result;
+    if (typeof raw === 'bigint' && config.decimals !== undefined) {
+      raw = parseFloat(formatUnits(raw, config.decimals));
+    }
+    const value = toJsonSafe(raw);
+
+    let triggered;
+    let condition;
+    if (config.operator === 'changed') {
+      const previous = state.lastValue;
+      triggered = previous !== undefined && JSON.stringify(previous) !== JSON.stringify(value);
+      condition = triggered
+        ? `${fn.name}() changed from ${JSON.stringify(previous)} to ${JSON.stringify(value)}`
+        : `${fn.name}() unchanged at ${JSON.stringify(value)}`;
+    } else {
+      triggered = compare(value, config.operator, config.threshold);
+      condition = `${fn.name}() = ${JSON.stringify(value)} ${triggered ? '' : 'not '}${OPERATOR_LABELS[config.operator]} ${config.threshold}`;
+    }
+
+    return {
+      triggered,
+      ...(NUMERIC_OPERATORS.includes(config.operator) && { value: Number(value) }),
+      data: {
+        address: config.address,
+        chain,
+        function: fn.name,
+        args: config.args || [],
+        value,
+        ...(config.operator === 'changed' && { previousValue: state.lastValue ?? null }),
+        operator: config.operator,
+        threshold: config.threshold ?? null,
+        condition,
+      },
+      state: { lastValue: value },
+    };
+  },
+};
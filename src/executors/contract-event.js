@@ -0,0 +1,159 @@
+// Contract Event Executor
+// Watches for smart contract event logs, with an optional indexed-argument filter
+
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+import { parseAbiFragment, toJsonSafe } from './abi.js';
+
+// Public RPCs reject large getLogs ranges, so each check scans at most this many blocks
+const MAX_BLOCK_RANGE = 2000;
+
+// Cap the number of logs included in a single webhook payload
+const MAX_LOGS_PER_ALERT = 50;
+
+export const contractEventExecutor = {
+  describe() {
+    return {
+      id: 'contract-event',
+      name: 'Contract Event Alert',
+      category: 'contract',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when a smart contract emits a matching event',
+      configSchema: {
+        type: 'object',
+        required: ['address', 'event'],
+        properties: {
+          address: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Contract address to watch',
+          },
+          event: {
+            type: ['string', 'object'],
+            description: 'Event ABI fragment, e.g. "event Transfer(address indexed from, address indexed to, uint256 value)"',
+          },
+          args: {
+            type: 'object',
+            description: 'Optional filter on indexed arguments, e.g. { "to": "0x..." }',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to monitor',
+          },
+        },
+      },
+      notes: `Scans at most ${MAX_BLOCK_RANGE} blocks per check; busy chains catch up over several checks.`,
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.address || !config.address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid address format');
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+
+    let event = null;
+    if (!config.event) {
+      errors.push('Event ABI fragment is required');
+    } else {
+      try {
+        event = parseAbiFragment(config.event, 'event');
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+
+    if (config.args !== undefined) {
+      if (!config.args || typeof config.args !== 'object' || Array.isArray(config.args)) {
+        errors.push('Args must be an object of indexed argument filters');
+      } else if (event) {
+        const indexed = event.inputs.filter(i => i.indexed).map(i => i.name);
+        for (const name of Object.keys(config.args)) {
+          if (!indexed.includes(name)) {
+            errors.push(`Unknown indexed argument: ${name}`);
+          }
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Start the block cursor at creation so events from then on are caught
+  async init(config) {
+    const client = chains[config.chain || DEFAULT_CHAIN];
+    const latest = await client.getBlockNumber();
+    return { lastBlock: Number(latest) };
+  },
+
+  async check(config, state = {}) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    const event = parseAbiFragment(config.event, 'event');
+    const latest = Number(await client.getBlockNumber());
+
+    // First run without a cursor: start watching from the current block
+    if (state.lastBlock == null) {
+      return {
+        triggered: false,
+        data: {
+          address: config.address,
+          chain,
+          event: event.name,
+          fromBlock: latest,
+          toBlock: latest,
+          count: 0,
+          logs: [],
+        },
+        state: { lastBlock: latest },
+      };
+    }
+
+    const fromBlock = state.lastBlock + 1;
+    const toBlock = Math.min(latest, fromBlock + MAX_BLOCK_RANGE - 1);
+
+    let logs = [];
+    if (fromBlock <= toBlock) {
+      logs = await client.getLogs({
+        address: config.address,
+        event,
+        args: config.args,
+        fromBlock: BigInt(fromBlock),
+        toBlock: BigInt(toBlock),
+      });
+    }
+
+    const triggered = logs.length > 0;
+
+    return {
+      triggered,
+      data: {
+        address: config.address,
+        chain,
+        event: event.name,
+        fromBlock,
+        toBlock: Math.max(toBlock, state.lastBlock),
+        count: logs.length,
+        logs: logs.slice(0, MAX_LOGS_PER_ALERT).map(log => ({
+          blockNumber: Number(log.blockNumber),
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+          args: toJsonSafe(log.args),
+        })),
+        truncated: logs.length > MAX_LOGS_PER_ALERT,
+        condition: `${logs.length} ${event.name} event(s) from ${config.address} in blocks ${fromBlock}-${toBlock}`,
+      },
+      state: { lastBlock: Math.max(toBlock, state.lastBlock) },
+    };
+  },
+};
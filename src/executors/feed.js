@@ -0,0 +1,365 @@
+// Feed Executor
+// Polls an RSS, Atom or JSON Feed URL and fires on new items matching optional filters
+
+import { Worker } from 'worker_threads';
+import { safeFetch, validatePublicUrl } from './http.js';
+
+const TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 2 * 1024 * 1024; // 2 MB
+const MAX_FEED_ITEMS = 1000; // Items read per fetch, in document order
+const MAX_SEEN_IDS = 2 * MAX_FEED_ITEMS;
+const MAX_ITEMS_PER_ALERT = 20;
+const MAX_KEYWORDS = 20;
+const MAX_REGEX_LENGTH = 200;
+const REGEX_TIMEOUT_MS = 1000;
+const SUMMARY_LENGTH = 500;
+const MAX_FIELD_LENGTH = 64 * 1024; // Raw item fields are cut to this before decoding
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+/**
+ * Decode XML entities and unwrap CDATA sections. Feed bodies are untrusted and
+ * up to 2 MB, so this scans with indexOf rather than a backtracking regex.
+ */
+function decodeXml(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const start = text.indexOf('<![CDATA[', i);
+    const end = start === -1 ? -1 : text.indexOf(']]>', start + 9);
+    if (end === -1) {
+      out += decodeEntities(text.slice(i));
+      break;
+    }
+    out += decodeEntities(text.slice(i, start)) + text.slice(start + 9, end);
+    i = end + 3;
+  }
+  return out;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]{1,8}|#\d{1,8}|\w{1,32});/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Reduce HTML content to a short plain-text summary
+ */
+function toSummary(html) {
+  if (!html) return '';
+  const text = decodeXml(html)
+    .replace(/<[^<>]*>/g, ' ')
+    .replace(/&(#x[0-9a-f]{1,8}|#\d{1,8}|\w{1,32});/gi, (match) => decodeEntities(match))
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH)}…` : text;
+}
+
+/**
+ * Atom links are attributes: prefer rel="alternate" (or no rel) over others
+ */
+function atomLink(links) {
+  const href = (attrs) => attrs.match(/\bhref\s*=\s*["']([^"']+)["']/i)?.[1];
+  const preferred = links.find(attrs => !/\brel\s*=/.test(attrs) || /\brel\s*=\s*["']alternate["']/i.test(attrs));
+  const chosen = preferred ?? links[0];
+  return chosen ? decodeXml(href(chosen) || '') || null : null;
+}
+
+/**
+ * Split an XML body into items: for each <item>/<entry>, the raw content of
+ * its first element of each name (e.g. fields.title) and the attributes of
+ * its <link> tags. A single linear pass over the tags; CDATA and comments are
+ * skipped whole, so markup inside them is never mistaken for feed structure.
+ */
+function scanXmlItems(body) {
+  const items = [];
+  let item = null;
+  let field = null;
+  let i = 0;
+
+  while ((i = body.indexOf('<', i)) !== -1) {
+    if (body.startsWith('<![CDATA[', i) || body.startsWith('<!--', i)) {
+      const close = body.startsWith('<!--', i) ? '-->' : ']]>';
+      const end = body.indexOf(close, i);
+      if (end === -1) break;
+      i = end + close.length;
+      continue;
+    }
+    const end = body.indexOf('>', i);
+    if (end === -1) break;
+
+    const tag = body.slice(i + 1, end);
+    const closing = tag[0] === '/';
+    const name = (closing ? tag.slice(1) : tag).match(/^[\w:.-]+/)?.[0].toLowerCase();
+    const selfClosing = tag.endsWith('/');
+
+    if (!name) {
+      // Declarations and processing instructions
+    } else if (!item) {
+      if (!closing && (name === 'item' || name === 'entry')) {
+        item = { kind: name, fields: {}, links: [] };
+      }
+    } else if (field) {
+      // Everything up to the field's closing tag is its content
+      if (closing && name === field.name) {
+        item.fields[name] ??= body.slice(field.start, i);
+        field = null;
+      }
+    } else if (closing) {
+      if (name === item.kind) {
+        items.push(item);
+        item = null;
+      }
+    } else {
+      if (name === 'link') {
+        item.links.push(tag.slice(4));
+      }
+      if (!selfClosing) {
+        field = { name, start: end + 1 };
+      }
+    }
+    i = end + 1;
+  }
+
+  return items;
+}
+
+/**
+ * Parse RSS 2.0 / RSS 1.0 items or Atom entries
+ */
+function parseXmlFeed(body) {
+  return scanXmlItems(body).map(({ kind, fields, links }) => {
+    const text = (name) => (fields[name] === undefined ? null : decodeXml(fields[name].slice(0, MAX_FIELD_LENGTH)).trim());
+    const isAtom = kind === 'entry';
+    const link = isAtom ? atomLink(links) : text('link');
+    return {
+      id: text(isAtom ? 'id' : 'guid') || link || text('title'),
+      title: toSummary(text('title')),
+      link,
+      published: text(isAtom ? 'published' : 'pubdate') || text(isAtom ? 'updated' : 'dc:date'),
+      summary: toSummary(isAtom
+        ? text('summary') || text('content')
+        : text('description') || text('content:encoded')),
+    };
+  });
+}
+
+/**
+ * Parse a JSON Feed (https://jsonfeed.org) document
+ */
+function parseJsonFeed(json) {
+  if (!json || !Array.isArray(json.items)) {
+    throw new Error('JSON feed has no items array');
+  }
+  return json.items.map(item => ({
+    id: String(item.id ?? item.url ?? item.title),
+    title: item.title || '',
+    link: item.url || null,
+    published: item.date_published || item.date_modified || null,
+    summary: toSummary(item.summary || item.content_text || item.content_html),
+  }));
+}
+
+/**
+ * Fetch and parse a feed into { id, title, link, published, summary } items
+ */
+async function fetchFeed(url) {
+  const response = await safeFetch(url, {
+    headers: { Accept: 'application/feed+json, application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' },
+    timeoutMs: TIMEOUT_MS,
+    maxBytes: MAX_RESPONSE_BYTES,
+  });
+
+  const body = response.body.trim();
+  let items;
+  if (response.contentType.includes('json') || body.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch (e) {
+      throw new Error(`Feed at ${new URL(url).host} is not valid JSON`);
+    }
+    items = parseJsonFeed(json);
+  } else if (body.startsWith('<')) {
+    items = parseXmlFeed(body);
+  } else {
+    throw new Error(`Feed at ${new URL(url).host} is not RSS, Atom or JSON Feed`);
+  }
+
+  return items.filter(item => item.id).slice(0, MAX_FEED_ITEMS);
+}
+
+// Runs the user's regex off the main thread: V8's engine backtracks, so a
+// pattern like (a+)+$ can take minutes, and only a worker can be stopped mid-match
+const REGEX_WORKER = `
+const { parentPort, workerData } = require('worker_threads');
+const pattern = new RegExp(workerData.regex, 'i');
+parentPort.postMessage(workerData.texts.map(text => pattern.test(text)));
+`;
+
+/**
+ * Test a regex against several texts with a hard time limit. Returns one boolean per text.
+ */
+function testRegex(regex, texts) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(REGEX_WORKER, {
+      eval: true,
+      workerData: { regex, texts },
+      resourceLimits: { maxOldGenerationSizeMb: 64 },
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`Regex took longer than ${REGEX_TIMEOUT_MS}ms; simplify the pattern`));
+    }, REGEX_TIMEOUT_MS);
+
+    worker.once('message', (matches) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(matches);
+    });
+    worker.once('error', (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+/**
+ * Items whose title or summary matches the configured keywords / regex
+ */
+async function filterItems(items, config) {
+  const text = (item) => `${item.title}\n${item.summary}`;
+
+  let matching = items;
+  if (config.keywords?.length) {
+    const keywords = config.keywords.map(k => k.toLowerCase());
+    matching = matching.filter(item => keywords.some(k => text(item).toLowerCase().includes(k)));
+  }
+  if (config.regex && matching.length > 0) {
+    const matches = await testRegex(config.regex, matching.map(text));
+    matching = matching.filter((item, index) => matches[index]);
+  }
+  return matching;
+}
+
+/**
+ * The IDs of every item currently in the feed, then the most recent earlier
+ * ones, so the list can't grow without bound but an item still in the feed
+ * is never forgotten (and re-sent)
+ */
+function rememberIds(items, previous = []) {
+  return [...new Set([...items.map(i => i.id), ...previous])].slice(0, MAX_SEEN_IDS);
+}
+
+export const feedExecutor = {
+  describe() {
+    return {
+      id: 'feed',
+      name: 'Feed Alert',
+      category: 'social',
+      description: 'Get notified about new posts in an RSS, Atom or JSON feed (governance blogs, security advisories, changelogs)',
+      configSchema: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Public http(s) URL of an RSS, Atom or JSON Feed',
+          },
+          keywords: {
+            type: 'array',
+            items: { type: 'string' },
+            maxItems: MAX_KEYWORDS,
+            description: 'Only items whose title or summary contains any of these (case-insensitive)',
+          },
+          regex: {
+            type: 'string',
+            maxLength: MAX_REGEX_LENGTH,
+            description: `Only items whose title or summary matches this regular expression (case-insensitive, at most ${REGEX_TIMEOUT_MS}ms per check)`,
+          },
+        },
+      },
+      notes: 'Items already in the feed when the watcher is created are not sent. Each item is sent at most once.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.url || typeof config.url !== 'string') {
+      errors.push('URL is required');
+    } else {
+      const urlError = validatePublicUrl(config.url);
+      if (urlError) errors.push(urlError);
+    }
+    if (config.keywords !== undefined) {
+      if (!Array.isArray(config.keywords) || config.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+        errors.push('Keywords must be an array of non-empty strings');
+      } else if (config.keywords.length > MAX_KEYWORDS) {
+        errors.push(`At most ${MAX_KEYWORDS} keywords per watcher`);
+      }
+    }
+    if (config.regex !== undefined) {
+      if (typeof config.regex !== 'string' || config.regex.length > MAX_REGEX_LENGTH) {
+        errors.push(`Regex must be a string of at most ${MAX_REGEX_LENGTH} characters`);
+      } else {
+        try {
+          new RegExp(config.regex, 'i');
+        } catch (e) {
+          errors.push(`Invalid regex: ${e.message}`);
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Mark the items already in the feed as seen
+  async init(config) {
+    const items = await fetchFeed(config.url);
+    return { seen: rememberIds(items) };
+  },
+
+  async check(config, state = {}) {
+    const items = await fetchFeed(config.url);
+
+    // First run without a seen list: record the current items without sending them
+    if (!state.seen) {
+      return {
+        triggered: false,
+        data: {
+          url: config.url,
+          itemCount: items.length,
+          items: [],
+          condition: `Recorded ${items.length} existing item(s)`,
+        },
+        state: { seen: rememberIds(items) },
+      };
+    }
+
+    const seen = new Set(state.seen);
+    const fresh = items.filter(item => !seen.has(item.id));
+    const matching = await filterItems(fresh, config);
+
+    return {
+      triggered: matching.length > 0,
+      data: {
+        url: config.url,
+        itemCount: items.length,
+        newCount: fresh.length,
+        items: matching.slice(0, MAX_ITEMS_PER_ALERT),
+        truncated: matching.length > MAX_ITEMS_PER_ALERT,
+        condition: matching.length > 0
+          ? `${matching.length} new item(s): ${matching.slice(0, 3).map(i => i.title).join('; ')}`
+          : `No new matching items (${fresh.length} new)`,
+      },
+      // Non-matching items are remembered too, so they are never reconsidered
+      state: { seen: rememberIds(items, state.seen) },
+    };
+  },
+};
@@ -0,0 +1,143 @@
+// Gas Price Executor
+// Watches a chain's base fee and priority fee for gas above/below a gwei threshold
+
+import { formatGwei } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+
+const METRICS = ['total', 'baseFee', 'priorityFee'];
+const MAX_CONSECUTIVE_CHECKS = 24;
+
+/**
+ * Round a gwei value to a readable precision (L2 fees are often fractions of a gwei)
+ */
+function toGwei(wei) {
+  return Math.round(parseFloat(formatGwei(wei)) * 10000) / 10000;
+}
+
+export const gasPriceExecutor = {
+  describe() {
+    return {
+      id: 'gas-price',
+      name: 'Gas Price Alert',
+      category: 'price',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when gas on a chain drops below or rises above a gwei threshold',
+      configSchema: {
+        type: 'object',
+        required: ['threshold', 'direction'],
+        properties: {
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            description: 'Gas price threshold in gwei',
+          },
+          direction: {
+            type: 'string',
+            enum: ['above', 'below'],
+            description: 'Alert when gas goes above or below threshold',
+          },
+          metric: {
+            type: 'string',
+            enum: METRICS,
+            default: 'total',
+            description: 'total: base fee + priority fee, or either fee on its own',
+          },
+          consecutiveChecks: {
+            type: 'number',
+            minimum: 1,
+            maximum: MAX_CONSECUTIVE_CHECKS,
+            default: 1,
+            description: 'Only fire once the condition has held for this many checks in a row',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to monitor',
+          },
+        },
+      },
+      notes: 'The priority fee is the node\'s eth_maxPriorityFeePerGas estimate.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (typeof config.threshold !== 'number' || config.threshold < 0) {
+      errors.push('Threshold must be a non-negative number');
+    }
+    if (!config.expression && !['above', 'below'].includes(config.direction)) {
+      errors.push('Direction must be "above" or "below"');
+    }
+    if (config.metric !== undefined && !METRICS.includes(config.metric)) {
+      errors.push(`Metric must be one of: ${METRICS.join(', ')}`);
+    }
+    if (config.consecutiveChecks !== undefined &&
+        (!Number.isInteger(config.consecutiveChecks) || config.consecutiveChecks < 1 || config.consecutiveChecks > MAX_CONSECUTIVE_CHECKS)) {
+      errors.push(`consecutiveChecks must be an integer from 1 to ${MAX_CONSECUTIVE_CHECKS}`);
+    }
+    // The streak counts the built-in comparison, which an expression replaces
+    if (config.expression && config.consecutiveChecks > 1) {
+      errors.push('consecutiveChecks cannot be combined with an expression');
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config, state = {}) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    const [block, priorityFee] = await Promise.all([
+      client.getBlock({ blockTag: 'latest' }),
+      client.estimateMaxPriorityFeePerGas(),
+    ]);
+
+    if (block.baseFeePerGas == null) {
+      throw new Error(`${chain} did not report a base fee`);
+    }
+
+    const fees = {
+      baseFee: toGwei(block.baseFeePerGas),
+      priorityFee: toGwei(priorityFee),
+      total: toGwei(block.baseFeePerGas + priorityFee),
+    };
+    const metric = config.metric || 'total';
+    const gas = fees[metric];
+
+    const met = config.direction === 'above'
+      ? gas > config.threshold
+      : gas < config.threshold;
+
+    // Count consecutive checks the condition has held for
+    const required = config.consecutiveChecks || 1;
+    const streak = met ? (state.streak || 0) + 1 : 0;
+    const triggered = met && streak >= required;
+
+    return {
+      triggered,
+      value: gas,
+      data: {
+        chain,
+        blockNumber: Number(block.number),
+        ...fees,
+        metric,
+        threshold: config.threshold,
+        direction: config.direction,
+        streak,
+        consecutiveChecks: required,
+        condition: `${chain} ${metric} gas ${gas} gwei is ${met ? '' : 'not '}${config.direction} ${config.threshold} gwei` +
+          (required > 1 ? ` (${streak}/${required} consecutive checks)` : ''),
+      },
+      state: { streak },
+    };
+  },
+};
@@ -0,0 +1,164 @@
+// HTTP JSON Executor
+// Fetches a JSON endpoint, extracts a value and compares it to a threshold
+
+import { safeFetch, validatePublicUrl } from './http.js';
+import { OPERATORS, NUMERIC_OPERATORS, OPERATOR_LABELS, validateComparison, compare } from './compare.js';
+
+const TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 512 * 1024; // 512 KB
+
+/**
+ * Split a path into keys. Accepts a JSON Pointer ("/data/0/price") or a
+ * JSONPath subset ("$.data[0].price", "$['key with spaces']").
+ */
+function parsePath(path) {
+  if (!path || path === '$' || path === '/') return [];
+
+  if (path.startsWith('/')) {
+    return path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  if (!path.startsWith('$')) {
+    throw new Error('Path must be a JSON Pointer ("/a/b") or JSONPath ("$.a.b")');
+  }
+
+  const keys = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+  pattern.lastIndex = 1;
+  while (pattern.lastIndex < path.length) {
+    const match = pattern.exec(path);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax at "${path.slice(pattern.lastIndex)}"`);
+    }
+    keys.push(match[1] ?? match[2] ?? match[3] ?? match[4]);
+  }
+  return keys;
+}
+
+/**
+ * Walk parsed JSON along the path keys (undefined if a key is missing)
+ */
+function extractValue(json, keys) {
+  let value = json;
+  for (const key of keys) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+export const httpJsonExecutor = {
+  describe() {
+    return {
+      id: 'http-json',
+      name: 'HTTP JSON Alert',
+      category: 'custom',
+      description: 'Get notified when a value in any JSON API crosses a threshold, equals a value or changes',
+      configSchema: {
+        type: 'object',
+        required: ['url', 'operator'],
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Public http(s) URL returning JSON',
+          },
+          path: {
+            type: 'string',
+            description: 'JSON Pointer ("/data/price") or JSONPath ("$.data.price") to the value. Default: the whole body',
+          },
+          operator: {
+            type: 'string',
+            enum: OPERATORS,
+            description: 'How to compare the value against the threshold',
+          },
+          threshold: {
+            type: ['number', 'string', 'boolean'],
+            description: 'Value to compare against (not used by "changed")',
+          },
+          headers: {
+            type: 'object',
+            description: 'Extra request headers (e.g. an API key)',
+          },
+        },
+      },
+      notes: `GET only. Responses are limited to ${MAX_RESPONSE_BYTES / 1024} KB and ${TIMEOUT_MS / 1000}s; private network targets are rejected.`,
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.url || typeof config.url !== 'string') {
+      errors.push('URL is required');
+    } else {
+      const urlError = validatePublicUrl(config.url);
+      if (urlError) errors.push(urlError);
+    }
+    if (config.path !== undefined) {
+      try {
+        parsePath(config.path);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+    if (config.headers !== undefined &&
+        (!config.headers || typeof config.headers !== 'object' || Array.isArray(config.headers) ||
+         Object.values(config.headers).some(v => typeof v !== 'string'))) {
+      errors.push('Headers must be an object of string values');
+    }
+    validateComparison(config, errors);
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config, state = {}) {
+    const response = await safeFetch(config.url, {
+      headers: { Accept: 'application/json', ...config.headers },
+      timeoutMs: TIMEOUT_MS,
+      maxBytes: MAX_RESPONSE_BYTES,
+    });
+
+    let json;
+    try {
+      json = JSON.parse(response.body);
+    } catch (e) {
+      throw new Error(`Response from ${new URL(config.url).host} is not valid JSON`);
+    }
+
+    const value = extractValue(json, parsePath(config.path));
+    if (value === undefined) {
+      throw new Error(`No value at path ${config.path}`);
+    }
+
+    const label = config.path || 'response';
+    let triggered;
+    let condition;
+    if (config.operator === 'changed') {
+      const previous = state.lastValue;
+      triggered = previous !== undefined && JSON.stringify(previous) !== JSON.stringify(value);
+      condition = triggered
+        ? `${label} changed from ${JSON.stringify(previous)} to ${JSON.stringify(value)}`
+        : `${label} unchanged at ${JSON.stringify(value)}`;
+    } else {
+      triggered = compare(value, config.operator, config.threshold);
+      condition = `${label} = ${JSON.stringify(value)} ${triggered ? '' : 'not '}${OPERATOR_LABELS[config.operator]} ${config.threshold}`;
+    }
+
+    return {
+      triggered,
+      ...(NUMERIC_OPERATORS.includes(config.operator) && { value: Number(value) }),
+      data: {
+        url: config.url,
+        path: config.path || null,
+        value,
+        ...(config.operator === 'changed' && { previousValue: state.lastValue ?? null }),
+        operator: config.operator,
+        threshold: config.threshold ?? null,
+        condition,
+      },
+      state: { lastValue: value },
+    };
+  },
+};
@@ -0,0 +1,181 @@
+// HTTP helpers shared by the executors that fetch operator-supplied URLs
+
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 1024 * 1024; // 1 MB
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  blockedRanges.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 96], // Unspecified, loopback and IPv4-compatible (::127.0.0.1)
+  ['64:ff9b::', 96], // NAT64, which embeds an IPv4 address
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001::', 32], // Teredo
+  ['2001:db8::', 32],
+  ['2002::', 16], // 6to4, which embeds an IPv4 address
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  blockedRanges.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is on a private or otherwise non-public network
+ */
+export function isPrivateAddress(ip) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(ip);
+  if (family === 4) return blockedRanges.check(ip, 'ipv4');
+  if (family === 6) return blockedRanges.check(ip, 'ipv6');
+  return true;
+}
+
+/**
+ * Synchronous URL checks (protocol, obvious private hosts) for validate()
+ */
+export function validatePublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return 'Invalid URL';
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'URL must use http:// or https://';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    return 'URL must not point to a private network';
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return 'URL must not point to a private network';
+  }
+
+  return null;
+}
+
+/**
+ * DNS lookup for outgoing connections that fails if the host has any private
+ * address. The socket connects to the address vetted here, so a name can't
+ * pass a separate check and then resolve to 127.0.0.1 when fetch connects.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to a private network address`));
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Read a response body as text, aborting once it exceeds maxBytes
+ */
+async function readLimited(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    await response.body?.cancel();
+    throw new Error(`Response too large: ${declared} bytes (limit ${maxBytes})`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Response too large: over ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Fetch a public URL with a timeout, a response size limit and private
+ * network protection (checked again on every redirect hop).
+ * Returns { status, contentType, body } with the body as text.
+ */
+export async function safeFetch(value, options = {}) {
+  const {
+    headers = {},
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBytes = DEFAULT_MAX_BYTES,
+  } = options;
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  let url = new URL(value);
+  const origin = url.origin;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    // IP literals are checked here; host names when the connection resolves them
+    const error = validatePublicUrl(url.href);
+    if (error) throw new Error(error);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        // The caller's headers (credentials, API keys) only go to the original origin
+        headers: { 'User-Agent': 'x402-sentinel/2.0', ...(url.origin === origin && headers) },
+        redirect: 'manual',
+        signal,
+        dispatcher: publicAgent,
+      });
+    } catch (e) {
+      // Surface the lookup rejection rather than undici's generic "fetch failed"
+      throw e.cause?.message ? new Error(e.cause.message) : e;
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      // Release the connection before following
+      await response.body?.cancel();
+      url = new URL(response.headers.get('location'), url);
+      continue;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`HTTP ${response.status} from ${url.host}`);
+    }
+
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type') || '',
+      body: await readLimited(response, maxBytes),
+    };
+  }
+
+  throw new Error(`Too many redirects (limit ${MAX_REDIRECTS})`);
+}
@@ -2,6 +2,23 @@
 
 import { walletBalanceExecutor } from './wallet-balance.js';
 import { tokenPriceExecutor } from './token-price.js';
+import { tokenBalanceExecutor } from './token-balance.js';
+import { contractEventExecutor } from './contract-event.js';
+import { contractCallExecutor } from './contract-call.js';
+import { priceChangeExecutor } from './price-change.js';
+import { chainlinkPriceExecutor } from './chainlink-price.js';
+import { aaveHealthExecutor } from './aave-health.js';
+import { stablecoinDepegExecutor } from './stablecoin-depeg.js';
+import { tokenApprovalExecutor } from './token-approval.js';
+import { proxyUpgradeExecutor } from './proxy-upgrade.js';
+import { httpJsonExecutor } from './http-json.js';
+import { compositeExecutor } from './composite.js';
+import { portfolioValueExecutor } from './portfolio-value.js';
+import { nftTransferExecutor } from './nft-transfer.js';
+import { gasPriceExecutor } from './gas-price.js';
+import { addressActivityExecutor } from './address-activity.js';
+import { feedExecutor } from './feed.js';
+import { anomalyExecutor } from './anomaly.js';
 
 // Registry of built-in executors
 const executors = new Map();
@@ -9,6 +26,23 @@ const executors = new Map();
 // Register built-in executors
 executors.set('wallet-balance', walletBalanceExecutor);
 executors.set('token-price', tokenPriceExecutor);
+executors.set('token-balance', tokenBalanceExecutor);
+executors.set('contract-event', contractEventExecutor);
+executors.set('contract-call', contractCallExecutor);
+executors.set('price-change', priceChangeExecutor);
+executors.set('chainlink-price', chainlinkPriceExecutor);
+executors.set('aave-health', aaveHealthExecutor);
+executors.set('stablecoin-depeg', stablecoinDepegExecutor);
+executors.set('token-approval', tokenApprovalExecutor);
+executors.set('proxy-upgrade', proxyUpgradeExecutor);
+executors.set('http-json', httpJsonExecutor);
+executors.set('composite', compositeExecutor);
+executors.set('portfolio-value', portfolioValueExecutor);
+executors.set('nft-transfer', nftTransferExecutor);
+executors.set('gas-price', gasPriceExecutor);
+executors.set('address-activity', addressActivityExecutor);
+executors.set('feed', feedExecutor);
+executors.set('anomaly', anomalyExecutor);
 
 /**
  * Get an executor by watcher type
@@ -27,6 +61,12 @@ export function registerExecutor(id, executor) {
   if (!executor.describe || typeof executor.describe !== 'function') {
     throw new Error('Executor must have a describe() function');
   }
+  if (executor.checkBatch && typeof executor.checkBatch !== 'function') {
+    throw new Error('Executor checkBatch must be a function');
+  }
+  if (executor.preflight && typeof executor.preflight !== 'function') {
+    throw new Error('Executor preflight must be a function');
+  }
   executors.set(id, executor);
 }
 
@@ -37,6 +77,75 @@ export function listExecutors() {
   return Array.from(executors.keys());
 }
 
+/**
+ * Prepare a cron run's checks. `entries` are the due { watcher, executor }
+ * pairs; watchers whose executor has checkBatch() are handed to it together
+ * (on the first check of that executor) so reads of the same upstream data
+ * happen once. Returns check(watcher, executor), which resolves to
+ * { result, durationMs } or rejects with that watcher's error.
+ *
+ * With `timeoutMs`, each watcher's check fails with "Check timeout" after that
+ * long. Batched watchers are timed from the start of the batch, as it is when
+ * their data is being read, and durationMs is likewise per watcher.
+ */
+export function batchChecks(entries, { timeoutMs = null } = {}) {
+  const batches = new Map();
+  for (const { watcher, executor } of entries) {
+    if (!executor?.checkBatch) continue;
+    if (!batches.has(executor)) {
+      batches.set(executor, { watchers: [], outcomes: null });
+    }
+    batches.get(executor).watchers.push(watcher);
+  }
+
+  // Resolves to { result, durationMs } or { error }, never rejects (batched
+  // results wait unobserved until the cron loop reaches their watcher)
+  const settle = (promise, startedAt) => {
+    let timer;
+    const limited = timeoutMs
+      ? Promise.race([
+        promise,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Check timeout')), timeoutMs);
+        }),
+      ])
+      : promise;
+    return limited.then(
+      result => ({ result, durationMs: Date.now() - startedAt }),
+      error => ({ error }),
+    ).finally(() => clearTimeout(timer));
+  };
+
+  const runBatch = (executor, batch) => {
+    const startedAt = Date.now();
+    let pending;
+    try {
+      pending = executor.checkBatch(batch.watchers.map(w => ({ config: w.config, state: w.state || {} })));
+    } catch (e) {
+      pending = batch.watchers.map(() => Promise.reject(e));
+    }
+    return batch.watchers.map((w, i) => settle(Promise.resolve(pending[i]), startedAt));
+  };
+
+  return async function check(watcher, executor) {
+    const batch = batches.get(executor);
+    const index = batch ? batch.watchers.indexOf(watcher) : -1;
+
+    let outcome;
+    if (index === -1) {
+      outcome = await settle(Promise.resolve().then(() => executor.check(watcher.config, watcher.state || {})), Date.now());
+    } else {
+      batch.outcomes ??= runBatch(executor, batch);
+      outcome = await batch.outcomes[index];
+    }
+
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome;
+  };
+}
+
 /**
  * Standard executor interface:
  * 
@@ -44,12 +153,45 @@ export function listExecutors() {
  *   // Human-readable description
  *   describe(): { name, category, description, configSchema }
  *   
- *   // Check if condition is met
- *   check(config): Promise<{ triggered: boolean, data: any }>
+ *   // Check if condition is met. `state` is whatever the previous check
+ *   // (or init) returned for this watcher; a returned `state` is persisted
+ *   // on the watcher record for the next check. Threshold executors also
+ *   // return the numeric `value` they compared, which enables hysteresis.
+ *   check(config, state): Promise<{ triggered: boolean, data: any, value?: number, state?: object }>
  *   
  *   // Validate config (optional)
  *   validate?(config): { valid: boolean, errors?: string[] }
+ *   
+ *   // Live checks at watcher creation; throwing rejects the watcher (optional)
+ *   preflight?(config): Promise<void>
+ *   
+ *   // Initial per-watcher state, recorded at watcher creation (optional)
+ *   init?(config): Promise<object>
+ *   
+ *   // Check many watchers at once (optional). The cron run passes every due
+ *   // watcher of this executor so identical upstream reads (the same token
+ *   // price, the same balance) are made once and fanned out. Returns one
+ *   // promise per item, in order, settling like check() would for that item.
+ *   // Distinct reads should go through limitConcurrency() (./concurrency.js).
+ *   checkBatch?(items: { config, state }[]): Promise<object>[]
  * }
  */
 export { walletBalanceExecutor } from './wallet-balance.js';
 export { tokenPriceExecutor } from './token-price.js';
+export { tokenBalanceExecutor } from './token-balance.js';
+export { contractEventExecutor } from './contract-event.js';
+export { contractCallExecutor } from './contract-call.js';
+export { priceChangeExecutor } from './price-change.js';
+export { chainlinkPriceExecutor } from './chainlink-price.js';
+export { aaveHealthExecutor } from './aave-health.js';
+export { stablecoinDepegExecutor } from './stablecoin-depeg.js';
+export { tokenApprovalExecutor } from './token-approval.js';
+export { proxyUpgradeExecutor } from './proxy-upgrade.js';
+export { httpJsonExecutor } from './http-json.js';
+export { compositeExecutor } from './composite.js';
+export { portfolioValueExecutor } from './portfolio-value.js';
+export { nftTransferExecutor } from './nft-transfer.js';
+export { gasPriceExecutor } from './gas-price.js';
+export { addressActivityExecutor } from './address-activity.js';
+export { feedExecutor } from './feed.js';
+export { anomalyExecutor } from './anomaly.js';
\ No newline at end of file
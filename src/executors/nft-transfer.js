@@ -0,0 +1,297 @@
+// NFT Transfer Executor
+// Watches ERC-721 / ERC-1155 collections for owner changes, holder transfers and holding counts
+
+import { parseAbi, parseAbiItem } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+
+const EVENTS = {
+  erc721: [parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)')],
+  erc1155: [
+    parseAbiItem('event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)'),
+    parseAbiItem('event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'),
+  ],
+};
+
+const BALANCE_ABI = {
+  erc721: parseAbi(['function balanceOf(address owner) view returns (uint256)']),
+  erc1155: parseAbi(['function balanceOf(address account, uint256 id) view returns (uint256)']),
+};
+
+const MODES = ['owner', 'holder', 'count'];
+
+// Same getLogs limits as the contract event executor
+const MAX_BLOCK_RANGE = 2000;
+const MAX_TRANSFERS_PER_ALERT = 50;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * Flatten Transfer / TransferSingle / TransferBatch logs into one transfer per token ID
+ */
+function toTransfers(logs) {
+  return logs.flatMap(log => {
+    const base = {
+      from: log.args.from,
+      to: log.args.to,
+      blockNumber: Number(log.blockNumber),
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+    };
+    if (log.eventName === 'Transfer') {
+      return [{ ...base, tokenId: log.args.tokenId.toString(), amount: '1' }];
+    }
+    if (log.eventName === 'TransferSingle') {
+      return [{ ...base, tokenId: log.args.id.toString(), amount: log.args.value.toString() }];
+    }
+    return log.args.ids.map((id, i) => ({ ...base, tokenId: id.toString(), amount: log.args.values[i].toString() }));
+  });
+}
+
+export const nftTransferExecutor = {
+  describe() {
+    return {
+      id: 'nft-transfer',
+      name: 'NFT Transfer Alert',
+      category: 'wallet',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when an NFT changes owner, a wallet gains or loses tokens from a collection, or its holdings cross a count',
+      configSchema: {
+        type: 'object',
+        required: ['collection', 'mode'],
+        properties: {
+          collection: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'NFT collection contract address',
+          },
+          standard: {
+            type: 'string',
+            enum: ['erc721', 'erc1155'],
+            default: 'erc721',
+            description: 'Token standard of the collection',
+          },
+          mode: {
+            type: 'string',
+            enum: MODES,
+            description: 'owner: a token ID changes owner; holder: an address gains or loses tokens; count: an address\'s holdings cross a threshold',
+          },
+          tokenId: {
+            type: 'string',
+            description: 'Token ID (required for owner mode and ERC-1155 count mode, optional filter for holder mode)',
+          },
+          address: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Holder address (holder and count modes)',
+          },
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            description: 'Holding count threshold (count mode)',
+          },
+          direction: {
+            type: 'string',
+            enum: ['above', 'below'],
+            description: 'Alert when holdings go above or below threshold (count mode)',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to monitor',
+          },
+        },
+      },
+      notes: `owner and holder modes scan at most ${MAX_BLOCK_RANGE} blocks per check from a per-watcher block cursor. Owner mode is ERC-721 only.`,
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+    const standard = config.standard || 'erc721';
+
+    if (!config.collection || !config.collection.match(ADDRESS_PATTERN)) {
+      errors.push('Invalid collection address');
+    }
+    if (!EVENTS[standard]) {
+      errors.push('Standard must be "erc721" or "erc1155"');
+    }
+    if (!MODES.includes(config.mode)) {
+      errors.push(`Mode must be one of: ${MODES.join(', ')}`);
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+    if (config.tokenId !== undefined && !/^\d+$/.test(String(config.tokenId))) {
+      errors.push('Token ID must be a non-negative integer');
+    }
+
+    if (config.mode === 'owner') {
+      if (config.tokenId === undefined) errors.push('Token ID is required for owner mode');
+      if (standard === 'erc1155') errors.push('Owner mode is only supported for ERC-721 (ERC-1155 tokens can have many holders)');
+    }
+    if (config.mode === 'holder' || config.mode === 'count') {
+      if (!config.address || !config.address.match(ADDRESS_PATTERN)) {
+        errors.push(`Holder address is required for ${config.mode} mode`);
+      }
+    }
+    if (config.mode === 'count') {
+      if (typeof config.threshold !== 'number' || config.threshold < 0) {
+        errors.push('Threshold must be a non-negative number');
+      }
+      if (!config.expression && !['above', 'below'].includes(config.direction)) {
+        errors.push('Direction must be "above" or "below"');
+      }
+      if (standard === 'erc1155' && config.tokenId === undefined) {
+        errors.push('Token ID is required for ERC-1155 count mode');
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Log-based modes start their block cursor at creation
+  async init(config) {
+    if (config.mode === 'count') return {};
+    const client = chains[config.chain || DEFAULT_CHAIN];
+    const latest = await client.getBlockNumber();
+    return { lastBlock: Number(latest) };
+  },
+
+  async check(config, state = {}) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    return config.mode === 'count'
+      ? checkCount(client, chain, config)
+      : scanTransfers(client, chain, config, state);
+  },
+};
+
+/**
+ * Compare the holder's balance in the collection (or of one ERC-1155 ID) to the threshold
+ */
+async function checkCount(client, chain, config) {
+  const standard = config.standard || 'erc721';
+  const raw = await client.readContract({
+    address: config.collection,
+    abi: BALANCE_ABI[standard],
+    functionName: 'balanceOf',
+    args: standard === 'erc1155' ? [config.address, BigInt(config.tokenId)] : [config.address],
+  });
+  const count = Number(raw);
+
+  const triggered = config.direction === 'above'
+    ? count > config.threshold
+    : count < config.threshold;
+
+  return {
+    triggered,
+    value: count,
+    data: {
+      collection: config.collection,
+      chain,
+      mode: 'count',
+      address: config.address,
+      tokenId: config.tokenId ?? null,
+      count,
+      threshold: config.threshold,
+      direction: config.direction,
+      condition: `${config.address} holds ${count} token(s), ${config.direction} ${config.threshold}`,
+    },
+  };
+}
+
+/**
+ * Scan transfer logs since the last checked block (owner and holder modes)
+ */
+async function scanTransfers(client, chain, config, state) {
+  const standard = config.standard || 'erc721';
+  const latest = Number(await client.getBlockNumber());
+  const summary = {
+    collection: config.collection,
+    chain,
+    mode: config.mode,
+    tokenId: config.tokenId ?? null,
+    ...(config.mode === 'holder' && { address: config.address }),
+  };
+
+  // First run without a cursor: start watching from the current block
+  if (state.lastBlock == null) {
+    return {
+      triggered: false,
+      data: { ...summary, fromBlock: latest, toBlock: latest, transfers: [] },
+      state: { lastBlock: latest },
+    };
+  }
+
+  const fromBlock = state.lastBlock + 1;
+  const toBlock = Math.min(latest, fromBlock + MAX_BLOCK_RANGE - 1);
+
+  let transfers = [];
+  if (fromBlock <= toBlock) {
+    // One query per event so the indexed args are filtered by the RPC node
+    const query = async (args) => (await Promise.all(EVENTS[standard].map(event => client.getLogs({
+      address: config.collection,
+      event,
+      args,
+      fromBlock: BigInt(fromBlock),
+      toBlock: BigInt(toBlock),
+      // Skip ERC-20 Transfer logs, which share the ERC-721 signature but index only two arguments
+      strict: true,
+    })))).flat();
+
+    if (config.mode === 'owner') {
+      transfers = toTransfers(await query({ tokenId: BigInt(config.tokenId) }));
+    } else {
+      // Indexed args are ANDed, so sent and received transfers are separate queries
+      const [sent, received] = await Promise.all([
+        query({ from: config.address }),
+        query({ to: config.address }),
+      ]);
+      const seen = new Set();
+      transfers = toTransfers([...sent, ...received])
+        .filter(t => config.tokenId === undefined || t.tokenId === String(config.tokenId))
+        .filter(t => {
+          const key = `${t.transactionHash}:${t.logIndex}:${t.tokenId}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+  }
+
+  const holder = config.address?.toLowerCase();
+  const gained = transfers.filter(t => t.to.toLowerCase() === holder);
+  const lost = transfers.filter(t => t.from.toLowerCase() === holder);
+
+  let condition;
+  if (config.mode === 'owner') {
+    condition = transfers.length > 0
+      ? `Token #${config.tokenId} moved to ${transfers[transfers.length - 1].to}`
+      : `Token #${config.tokenId} did not move in blocks ${fromBlock}-${toBlock}`;
+  } else {
+    condition = `${config.address} gained ${gained.length} and lost ${lost.length} transfer(s) in blocks ${fromBlock}-${toBlock}`;
+  }
+
+  return {
+    triggered: transfers.length > 0,
+    data: {
+      ...summary,
+      fromBlock,
+      toBlock: Math.max(toBlock, state.lastBlock),
+      ...(config.mode === 'owner'
+        ? { owner: transfers.length > 0 ? transfers[transfers.length - 1].to : null }
+        : { gained: gained.length, lost: lost.length }),
+      transfers: transfers.slice(0, MAX_TRANSFERS_PER_ALERT),
+      truncated: transfers.length > MAX_TRANSFERS_PER_ALERT,
+      condition,
+    },
+    state: { lastBlock: Math.max(toBlock, state.lastBlock) },
+  };
+}
@@ -0,0 +1,317 @@
+// Portfolio Value Executor
+// Sums native and ERC-20 balances across addresses and chains, valued through the price providers
+
+import { erc20Abi, formatEther, formatUnits } from 'viem';
+import { chains, CHAIN_NAMES, CHAIN_REGISTRY } from '../chains.js';
+import { fetchCoinPrices } from './token-price.js';
+import { PRICE_PROVIDERS, AGGREGATIONS, DEFAULT_PRICE_SOURCES, validatePriceSources, getPrice } from './price-providers.js';
+import { getToken, resolveCoinId } from './token-registry.js';
+
+// Chains whose native asset has a price (testnets are left out)
+const PRICED_CHAINS = CHAIN_NAMES.filter(name => CHAIN_REGISTRY[name].nativePriceId);
+
+// Native balances counted when `chains` is left out: the common mainnets that
+// are enabled (else the first few priced chains), not every chain in the registry
+const COMMON_CHAINS = ['ethereum', 'base', 'optimism', 'arbitrum'].filter(name => PRICED_CHAINS.includes(name));
+const DEFAULT_CHAINS = COMMON_CHAINS.length > 0 ? COMMON_CHAINS : PRICED_CHAINS.slice(0, 4);
+
+const MAX_ADDRESSES = 10;
+const MAX_TOKENS = 20;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * The reference a chain's native asset is priced by: its symbol where the
+ * registry maps that to the same coin (so on-chain sources can answer too),
+ * else its CoinGecko ID
+ */
+function nativePriceId(chain) {
+  const { symbol } = chains[chain].chain.nativeCurrency;
+  const coinId = CHAIN_REGISTRY[chain].nativePriceId;
+  return resolveCoinId(symbol) === coinId ? symbol : coinId;
+}
+
+/**
+ * An ERC-20's decimals and price ID: from the token registry if listed,
+ * else read on-chain (price ID configured, or the on-chain symbol)
+ */
+async function readTokenInfo(token) {
+  const known = getToken(token.chain, token.address);
+  if (known) {
+    return { decimals: known.decimals, symbol: known.symbol, priceId: token.priceId || `${known.chain}:${known.address}` };
+  }
+
+  const client = chains[token.chain];
+  const [decimals, symbol] = await Promise.all([
+    client.readContract({ address: token.address, abi: erc20Abi, functionName: 'decimals' }),
+    client.readContract({ address: token.address, abi: erc20Abi, functionName: 'symbol' }).catch(() => null),
+  ]);
+
+  const priceId = token.priceId || symbol;
+  if (!priceId) {
+    throw new Error(`Token ${token.address} on ${token.chain} has no symbol; set priceId`);
+  }
+  return { decimals, symbol: symbol || priceId.toUpperCase(), priceId };
+}
+
+/**
+ * Price each asset through the configured sources: { [chain|priceId]: quote }.
+ * Throws naming the first asset no source could price.
+ */
+async function priceAssets(assets, config) {
+  const currency = (config.currency || 'usd').toLowerCase();
+  const priceConfig = {
+    sources: config.sources,
+    aggregation: config.aggregation,
+    minSources: config.minSources,
+    currency,
+  };
+
+  // When CoinGecko is a source, every asset shares one request
+  let coingecko;
+  if ((config.sources || DEFAULT_PRICE_SOURCES).includes('coingecko')) {
+    const coinIds = new Set();
+    for (const { priceId } of assets) {
+      try {
+        coinIds.add(resolveCoinId(priceId));
+      } catch (e) {
+        // Left to the other sources
+      }
+    }
+    if (coinIds.size > 0) {
+      coingecko = await fetchCoinPrices([...coinIds], currency).catch(e => e);
+    }
+  }
+
+  const quotes = {};
+  for (const { chain, priceId } of assets) {
+    quotes[`${chain}|${priceId}`] ||= getPrice(priceId, { ...priceConfig, chain }, { coingecko });
+  }
+  const keys = Object.keys(quotes);
+  const resolved = await Promise.all(keys.map(key => quotes[key]));
+  return Object.fromEntries(keys.map((key, i) => [key, resolved[i]]));
+}
+
+export const portfolioValueExecutor = {
+  describe() {
+    return {
+      id: 'portfolio-value',
+      name: 'Portfolio Value Alert',
+      category: 'wallet',
+      chains: PRICED_CHAINS,
+      description: 'Get notified when the total value of several wallets across chains goes above or below a threshold',
+      configSchema: {
+        type: 'object',
+        required: ['addresses', 'threshold', 'direction'],
+        properties: {
+          addresses: {
+            type: 'array',
+            items: { type: 'string', pattern: '^0x[a-fA-F0-9]{40}$' },
+            maxItems: MAX_ADDRESSES,
+            description: 'Wallet addresses to sum',
+          },
+          chains: {
+            type: 'array',
+            items: { type: 'string', enum: PRICED_CHAINS },
+            default: DEFAULT_CHAINS,
+            description: 'Chains whose native balance (ETH, POL) is included',
+          },
+          tokens: {
+            type: 'array',
+            maxItems: MAX_TOKENS,
+            items: {
+              type: 'object',
+              required: ['chain', 'address'],
+              properties: {
+                chain: { type: 'string', enum: PRICED_CHAINS },
+                address: { type: 'string', pattern: '^0x[a-fA-F0-9]{40}$' },
+                priceId: { type: 'string', description: 'Symbol or CoinGecko ID (default: token registry entry, else on-chain symbol)' },
+              },
+            },
+            description: 'ERC-20 tokens to include, per chain',
+          },
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            description: 'Total portfolio value threshold in the quote currency',
+          },
+          direction: {
+            type: 'string',
+            enum: ['above', 'below'],
+            description: 'Alert when the total goes above or below threshold',
+          },
+          currency: {
+            type: 'string',
+            default: 'usd',
+            description: 'Quote currency (default: usd)',
+          },
+          sources: {
+            type: 'array',
+            items: { type: 'string', enum: Object.keys(PRICE_PROVIDERS) },
+            default: DEFAULT_PRICE_SOURCES,
+            description: 'Price sources, in failover order',
+          },
+          aggregation: {
+            type: 'string',
+            enum: AGGREGATIONS,
+            default: 'first',
+            description: 'first: first source that answers; median: median of all that answer',
+          },
+          minSources: {
+            type: 'integer',
+            minimum: 1,
+            description: 'With median aggregation, how many sources must answer (default: 1)',
+          },
+        },
+      },
+      notes: 'Every asset must have a price when the watcher is created. With CoinGecko among the sources, all assets share one CoinGecko request per check.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!Array.isArray(config.addresses) || config.addresses.length === 0) {
+      errors.push('Addresses must be a non-empty array');
+    } else if (config.addresses.length > MAX_ADDRESSES) {
+      errors.push(`At most ${MAX_ADDRESSES} addresses per watcher`);
+    } else if (config.addresses.some(a => typeof a !== 'string' || !a.match(ADDRESS_PATTERN))) {
+      errors.push('Addresses must contain only valid addresses');
+    }
+    if (config.chains !== undefined) {
+      if (!Array.isArray(config.chains)) {
+        errors.push('Chains must be an array');
+      } else {
+        for (const chain of config.chains) {
+          if (CHAIN_REGISTRY[chain]?.chain.testnet) {
+            errors.push(`Testnet ${chain} has no prices`);
+          } else if (!PRICED_CHAINS.includes(chain)) {
+            errors.push(`Unsupported chain: ${chain}`);
+          }
+        }
+      }
+    }
+    if (config.tokens !== undefined) {
+      if (!Array.isArray(config.tokens)) {
+        errors.push('Tokens must be an array');
+      } else if (config.tokens.length > MAX_TOKENS) {
+        errors.push(`At most ${MAX_TOKENS} tokens per watcher`);
+      } else {
+        config.tokens.forEach((token, i) => {
+          if (!token || !PRICED_CHAINS.includes(token.chain)) {
+            errors.push(`Token ${i + 1}: unsupported chain ${token?.chain}`);
+          } else if (!token.address || !token.address.match(ADDRESS_PATTERN)) {
+            errors.push(`Token ${i + 1}: invalid contract address`);
+          }
+        });
+      }
+    }
+    if (typeof config.threshold !== 'number' || config.threshold < 0) {
+      errors.push('Threshold must be a non-negative number');
+    }
+    if (!config.expression && !['above', 'below'].includes(config.direction)) {
+      errors.push('Direction must be "above" or "below"');
+    }
+    validatePriceSources({
+      sources: config.sources,
+      aggregation: config.aggregation,
+      minSources: config.minSources,
+      currency: config.currency,
+    }, errors);
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Reject assets that no configured source can price
+  async preflight(config) {
+    const chainNames = config.chains || DEFAULT_CHAINS;
+    const tokens = config.tokens || [];
+
+    const tokenAssets = await Promise.all(tokens.map(async (token, i) => {
+      try {
+        return { chain: token.chain, priceId: (await readTokenInfo(token)).priceId };
+      } catch (e) {
+        throw new Error(`Token ${i + 1}: ${e.message}`);
+      }
+    }));
+    await priceAssets([
+      ...chainNames.map(chain => ({ chain, priceId: nativePriceId(chain) })),
+      ...tokenAssets,
+    ], config);
+  },
+
+  async check(config) {
+    const chainNames = config.chains || DEFAULT_CHAINS;
+    const tokens = config.tokens || [];
+    const currency = config.currency || 'usd';
+
+    // Native balances: every address on every chain
+    const nativeHoldings = await Promise.all(chainNames.map(async chain => {
+      const balances = await Promise.all(
+        config.addresses.map(address => chains[chain].getBalance({ address }))
+      );
+      const total = balances.reduce((sum, b) => sum + b, 0n);
+      return {
+        chain,
+        asset: 'native',
+        symbol: chains[chain].chain.nativeCurrency.symbol,
+        priceId: nativePriceId(chain),
+        balance: parseFloat(formatEther(total)),
+      };
+    }));
+
+    // ERC-20 balances: every address for each configured token
+    const tokenHoldings = await Promise.all(tokens.map(async token => {
+      const client = chains[token.chain];
+      const [info, balances] = await Promise.all([
+        readTokenInfo(token),
+        Promise.all(config.addresses.map(address => client.readContract({
+          address: token.address,
+          abi: erc20Abi,
+          functionName: 'balanceOf',
+          args: [address],
+        }))),
+      ]);
+      const total = balances.reduce((sum, b) => sum + b, 0n);
+      return {
+        chain: token.chain,
+        asset: token.address,
+        symbol: info.symbol,
+        priceId: info.priceId,
+        balance: parseFloat(formatUnits(total, info.decimals)),
+      };
+    }));
+
+    // Only held assets need a price
+    const holdings = [...nativeHoldings, ...tokenHoldings].filter(h => h.balance > 0);
+    const quotes = await priceAssets(holdings, config);
+
+    let totalValue = 0;
+    const valued = holdings.map(({ priceId, ...holding }) => {
+      const { price, source } = quotes[`${holding.chain}|${priceId}`];
+      const value = Math.round(holding.balance * price * 100) / 100;
+      totalValue += value;
+      return { ...holding, price, value, priceSources: source.providers };
+    });
+    totalValue = Math.round(totalValue * 100) / 100;
+
+    const triggered = config.direction === 'above'
+      ? totalValue > config.threshold
+      : totalValue < config.threshold;
+
+    return {
+      triggered,
+      value: totalValue,
+      data: {
+        addresses: config.addresses,
+        chains: chainNames,
+        totalValue,
+        currency: currency.toUpperCase(),
+        holdings: valued,
+        threshold: config.threshold,
+        direction: config.direction,
+        condition: `Portfolio value ${totalValue.toLocaleString()} ${currency.toUpperCase()} is ${config.direction} ${config.threshold.toLocaleString()} ${currency.toUpperCase()}`,
+      },
+    };
+  },
+};
@@ -0,0 +1,124 @@
+// Price Change Executor
+// Watches for sudden token price moves (percent change within a rolling window)
+
+import * as store from '../store.js';
+import { fetchTokenPrice } from './token-price.js';
+
+const MIN_WINDOW_MINUTES = 5;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60; // matches price history retention
+
+export const priceChangeExecutor = {
+  describe() {
+    return {
+      id: 'price-change',
+      name: 'Price Move Alert',
+      category: 'price',
+      description: 'Get notified when a token price moves more than X% within a time window',
+      configSchema: {
+        type: 'object',
+        required: ['token', 'percent', 'windowMinutes'],
+        properties: {
+          token: {
+            type: 'string',
+            description: 'Token symbol (e.g., ETH, BTC) or CoinGecko ID',
+          },
+          percent: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Size of the move in percent (e.g., 10 for a 10% move)',
+          },
+          windowMinutes: {
+            type: 'number',
+            minimum: MIN_WINDOW_MINUTES,
+            maximum: MAX_WINDOW_MINUTES,
+            description: 'Rolling window in minutes (e.g., 60 for 1 hour)',
+          },
+          direction: {
+            type: 'string',
+            enum: ['up', 'down', 'any'],
+            default: 'any',
+            description: 'Alert on rises, drops, or both',
+          },
+          currency: {
+            type: 'string',
+            default: 'usd',
+            description: 'Quote currency (default: usd)',
+          },
+        },
+      },
+      notes: 'Moves are measured from the highest (drops) or lowest (rises) price observed in the window. History builds up from the first check.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.token || typeof config.token !== 'string') {
+      errors.push('Token is required');
+    }
+    if (typeof config.percent !== 'number' || config.percent <= 0) {
+      errors.push('Percent must be a positive number');
+    }
+    if (typeof config.windowMinutes !== 'number' ||
+        config.windowMinutes < MIN_WINDOW_MINUTES ||
+        config.windowMinutes > MAX_WINDOW_MINUTES) {
+      errors.push(`windowMinutes must be between ${MIN_WINDOW_MINUTES} and ${MAX_WINDOW_MINUTES}`);
+    }
+    if (config.direction && !['up', 'down', 'any'].includes(config.direction)) {
+      errors.push('Direction must be "up", "down" or "any"');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config) {
+    const currency = config.currency || 'usd';
+    const direction = config.direction || 'any';
+
+    // Fetching also records the sample, so the history includes the current price
+    const { coinId, price } = await fetchTokenPrice(config.token, currency);
+
+    const since = new Date(Date.now() - config.windowMinutes * 60 * 1000).toISOString();
+    const samples = await store.getPriceHistory(`${coinId}:${currency}`, { since });
+    const prices = samples.map(s => s.price);
+
+    const high = Math.max(price, ...prices);
+    const low = Math.min(price, ...prices);
+    const drop = high > 0 ? ((price - high) / high) * 100 : 0;
+    const rise = low > 0 ? ((price - low) / low) * 100 : 0;
+
+    let changePercent;
+    if (direction === 'up') {
+      changePercent = rise;
+    } else if (direction === 'down') {
+      changePercent = drop;
+    } else {
+      changePercent = Math.abs(drop) > rise ? drop : rise;
+    }
+
+    const triggered = Math.abs(changePercent) >= config.percent;
+    const coverageMinutes = samples.length > 0
+      ? Math.round((Date.now() - new Date(samples[0].at).getTime()) / 60000)
+      : 0;
+    const token = config.token.toUpperCase();
+
+    return {
+      triggered,
+      data: {
+        token,
+        coinId,
+        price,
+        currency: currency.toUpperCase(),
+        changePercent: Math.round(changePercent * 100) / 100,
+        high,
+        low,
+        windowMinutes: config.windowMinutes,
+        coverageMinutes,
+        samples: samples.length,
+        percent: config.percent,
+        direction,
+        condition: `${token} moved ${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}% in the last ${config.windowMinutes} min (alert at ${config.percent}%)`,
+      },
+    };
+  },
+};
@@ -0,0 +1,267 @@
+// Price providers - pluggable token price sources with failover and median aggregation
+
+import { parseAbi, erc20Abi } from 'viem';
+import { chains, DEFAULT_CHAIN } from '../chains.js';
+import { fetchTokenPrice } from './token-price.js';
+import { CHAINLINK_FEEDS, DEFAULT_HEARTBEAT, readFeed } from './chainlink-price.js';
+import { lookupToken, resolveCoinId } from './token-registry.js';
+
+const UNISWAP_V3_POOL_ABI = parseAbi([
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+]);
+
+// Deep WETH/USDC 0.05% pools used when no pool is configured: chain -> symbol -> pool
+const UNISWAP_V3_POOLS = {
+  ethereum: {
+    'eth': '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640',
+  },
+  base: {
+    'eth': '0xd0b53D9277642d899DF5C87A3966A349A798F224',
+  },
+};
+
+const DEFAULT_TWAP_SECONDS = 1800;
+export const MIN_TWAP_SECONDS = 60;
+export const MAX_TWAP_SECONDS = 86400;
+
+/**
+ * Provider interface:
+ *
+ * {
+ *   id, name,
+ *   // Quote currencies the provider can price in (null: any)
+ *   currencies: string[] | null,
+ *   // Price a token; throws if the provider can't (unknown token, stale, HTTP error)
+ *   getPrice(token, options): Promise<{ price: number, ...details }>
+ * }
+ *
+ * options: { currency, chain, pool, twapSeconds, prefetched }
+ *
+ * prefetched: per-provider data fetched once for a batch of checks (or the Error that fetch hit)
+ */
+const coingeckoProvider = {
+  id: 'coingecko',
+  name: 'CoinGecko',
+  currencies: null,
+
+  async getPrice(token, options) {
+    // Batched checks fetch every token's CoinGecko price in one request up front
+    const prefetched = options.prefetched?.coingecko;
+    if (prefetched instanceof Error) {
+      throw prefetched;
+    }
+    if (prefetched) {
+      const coinId = resolveCoinId(token);
+      const price = prefetched[coinId]?.[options.currency];
+      if (price !== undefined) {
+        return { price, coinId };
+      }
+      // Not in the batch's request: ask for it on its own
+    }
+
+    const { coinId, price } = await fetchTokenPrice(token, options.currency);
+    return { price, coinId };
+  },
+};
+
+const chainlinkProvider = {
+  id: 'chainlink',
+  name: 'Chainlink',
+  currencies: ['usd'],
+
+  async getPrice(token, options) {
+    // Prefer the configured chain, then any other chain with a feed for the token
+    const preferred = options.chain || DEFAULT_CHAIN;
+    let chain = [preferred, ...Object.keys(CHAINLINK_FEEDS)]
+      .find(name => CHAINLINK_FEEDS[name]?.[token.toLowerCase()]);
+    let feed = chain && CHAINLINK_FEEDS[chain][token.toLowerCase()];
+
+    // Otherwise use the feed the token registry lists for the token
+    if (!feed) {
+      const entry = lookupToken(token);
+      if (!entry?.priceFeed) {
+        throw new Error(`No Chainlink feed for ${token}`);
+      }
+      chain = entry.chain;
+      feed = {
+        address: entry.priceFeed,
+        heartbeat: CHAINLINK_FEEDS[chain]?.[entry.symbol.toLowerCase()]?.heartbeat || DEFAULT_HEARTBEAT,
+      };
+    }
+
+    const round = await readFeed(chain, feed);
+    if (round.stale) {
+      throw new Error(`Chainlink ${token} feed on ${chain} is stale (${round.ageSeconds}s old)`);
+    }
+    return { price: round.price, chain, feed: feed.address, updatedAt: round.updatedAt };
+  },
+};
+
+const uniswapV3Provider = {
+  id: 'uniswap-v3',
+  name: 'Uniswap v3 TWAP',
+  // Pools are quoted in a USD stablecoin
+  currencies: ['usd'],
+
+  async getPrice(token, options) {
+    let chain = options.chain || DEFAULT_CHAIN;
+    let pool = options.pool;
+    if (!pool) {
+      // Default pool on the configured chain, else on any chain that has one
+      chain = [chain, ...Object.keys(UNISWAP_V3_POOLS)].find(name => UNISWAP_V3_POOLS[name]?.[token.toLowerCase()]);
+      pool = chain && UNISWAP_V3_POOLS[chain][token.toLowerCase()];
+    }
+    if (!pool) {
+      throw new Error(`No Uniswap v3 pool configured for ${token}`);
+    }
+
+    const client = chains[chain];
+    const twapSeconds = options.twapSeconds || DEFAULT_TWAP_SECONDS;
+
+    const [token0, token1, observation] = await Promise.all([
+      client.readContract({ address: pool, abi: UNISWAP_V3_POOL_ABI, functionName: 'token0' }),
+      client.readContract({ address: pool, abi: UNISWAP_V3_POOL_ABI, functionName: 'token1' }),
+      client.readContract({ address: pool, abi: UNISWAP_V3_POOL_ABI, functionName: 'observe', args: [[twapSeconds, 0]] }),
+    ]);
+    const [symbol0, symbol1, decimals0, decimals1] = await Promise.all([
+      client.readContract({ address: token0, abi: erc20Abi, functionName: 'symbol' }),
+      client.readContract({ address: token1, abi: erc20Abi, functionName: 'symbol' }),
+      client.readContract({ address: token0, abi: erc20Abi, functionName: 'decimals' }),
+      client.readContract({ address: token1, abi: erc20Abi, functionName: 'decimals' }),
+    ]);
+
+    // ETH is priced through WETH
+    const matches = (symbol) => [token.toUpperCase(), `W${token.toUpperCase()}`].includes(symbol.toUpperCase());
+    if (!matches(symbol0) && !matches(symbol1)) {
+      throw new Error(`Pool ${pool} does not contain ${token} (${symbol0}/${symbol1})`);
+    }
+
+    // Time-weighted average tick -> price of token0 in token1
+    const [cumulativeThen, cumulativeNow] = observation[0];
+    const averageTick = Number(cumulativeNow - cumulativeThen) / twapSeconds;
+    const price0In1 = 1.0001 ** averageTick * 10 ** (decimals0 - decimals1);
+    const price = matches(symbol0) ? price0In1 : 1 / price0In1;
+
+    return {
+      price: Math.round(price * 1e8) / 1e8,
+      chain,
+      pool,
+      pair: `${symbol0}/${symbol1}`,
+      twapSeconds,
+    };
+  },
+};
+
+export const PRICE_PROVIDERS = {
+  [coingeckoProvider.id]: coingeckoProvider,
+  [chainlinkProvider.id]: chainlinkProvider,
+  [uniswapV3Provider.id]: uniswapV3Provider,
+};
+
+// first: use the first source that answers (failover in order); median: median of all that answer
+export const AGGREGATIONS = ['first', 'median'];
+
+export const DEFAULT_PRICE_SOURCES = ['coingecko'];
+
+/**
+ * Validate price source options, pushing messages onto errors
+ */
+export function validatePriceSources(config, errors) {
+  const sources = config.sources ?? DEFAULT_PRICE_SOURCES;
+  const currency = (config.currency || 'usd').toLowerCase();
+
+  if (!Array.isArray(sources) || sources.length === 0) {
+    errors.push('Sources must be a non-empty array');
+    return;
+  }
+  for (const source of sources) {
+    const provider = PRICE_PROVIDERS[source];
+    if (!provider) {
+      errors.push(`Unknown price source: ${source}. Available: ${Object.keys(PRICE_PROVIDERS).join(', ')}`);
+    } else if (provider.currencies && !provider.currencies.includes(currency)) {
+      errors.push(`${provider.name} only supports ${provider.currencies.join(', ').toUpperCase()} prices`);
+    }
+  }
+  if (config.aggregation !== undefined && !AGGREGATIONS.includes(config.aggregation)) {
+    errors.push(`Aggregation must be one of: ${AGGREGATIONS.join(', ')}`);
+  }
+  if (config.minSources !== undefined &&
+      (!Number.isInteger(config.minSources) || config.minSources < 1 || config.minSources > sources.length)) {
+    errors.push('minSources must be an integer from 1 to the number of sources');
+  }
+  if (config.pool !== undefined && !String(config.pool).match(/^0x[a-fA-F0-9]{40}$/)) {
+    errors.push('Invalid pool address');
+  }
+  if (config.twapSeconds !== undefined &&
+      (!Number.isInteger(config.twapSeconds) || config.twapSeconds < MIN_TWAP_SECONDS || config.twapSeconds > MAX_TWAP_SECONDS)) {
+    errors.push(`twapSeconds must be an integer from ${MIN_TWAP_SECONDS} to ${MAX_TWAP_SECONDS}`);
+  }
+  if (config.chain && !chains[config.chain]) {
+    errors.push(`Unsupported chain: ${config.chain}`);
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Price a token through the configured sources. Returns the price and a
+ * `source` summary (which providers answered, their quotes, and failures).
+ */
+export async function getPrice(token, config = {}, prefetched = {}) {
+  const sources = config.sources || DEFAULT_PRICE_SOURCES;
+  const aggregation = config.aggregation || 'first';
+  const options = {
+    currency: (config.currency || 'usd').toLowerCase(),
+    chain: config.chain,
+    pool: config.pool,
+    twapSeconds: config.twapSeconds,
+    prefetched,
+  };
+
+  const quotes = [];
+  const failed = [];
+  const ask = async (id) => {
+    try {
+      quotes.push({ provider: id, ...await PRICE_PROVIDERS[id].getPrice(token, options) });
+    } catch (e) {
+      failed.push({ provider: id, error: e.message });
+    }
+  };
+
+  if (aggregation === 'first') {
+    for (const id of sources) {
+      await ask(id);
+      if (quotes.length > 0) break;
+    }
+  } else {
+    await Promise.all(sources.map(ask));
+  }
+
+  const required = aggregation === 'median' ? config.minSources || 1 : 1;
+  if (quotes.length < required) {
+    const reasons = failed.map(f => `${f.provider}: ${f.error}`).join('; ');
+    throw new Error(quotes.length === 0
+      ? `No price for ${token}: ${reasons}`
+      : `Only ${quotes.length} of ${required} required price sources answered for ${token}: ${reasons}`);
+  }
+
+  // Keep quotes in the configured order so the payload is stable
+  quotes.sort((a, b) => sources.indexOf(a.provider) - sources.indexOf(b.provider));
+
+  return {
+    price: aggregation === 'median' ? median(quotes.map(q => q.price)) : quotes[0].price,
+    coinId: quotes.find(q => q.coinId)?.coinId,
+    source: {
+      aggregation,
+      providers: quotes.map(q => q.provider),
+      quotes,
+      failed,
+    },
+  };
+}
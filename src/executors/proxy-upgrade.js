@@ -0,0 +1,134 @@
+// Proxy Upgrade Executor
+// Watches a contract's EIP-1967 slots and bytecode for changes since watcher creation
+
+import { keccak256, getAddress } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+
+// EIP-1967 storage slots
+const SLOTS = {
+  implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+};
+
+/**
+ * Decode an address stored in a 32-byte slot (null if the slot is empty)
+ */
+function slotToAddress(value) {
+  if (!value || BigInt(value) === 0n) return null;
+  return getAddress(`0x${value.slice(-40)}`);
+}
+
+/**
+ * Read the EIP-1967 slots and bytecode hash of a contract
+ */
+async function readSnapshot(client, address) {
+  const [implementation, admin, beacon, code] = await Promise.all([
+    client.getStorageAt({ address, slot: SLOTS.implementation }),
+    client.getStorageAt({ address, slot: SLOTS.admin }),
+    client.getStorageAt({ address, slot: SLOTS.beacon }),
+    client.getCode({ address }),
+  ]);
+
+  return {
+    implementation: slotToAddress(implementation),
+    admin: slotToAddress(admin),
+    beacon: slotToAddress(beacon),
+    codeHash: code ? keccak256(code) : null,
+  };
+}
+
+export const proxyUpgradeExecutor = {
+  describe() {
+    return {
+      id: 'proxy-upgrade',
+      name: 'Proxy Upgrade Alert',
+      category: 'security',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when a contract\'s implementation, admin, beacon or bytecode changes',
+      configSchema: {
+        type: 'object',
+        required: ['address'],
+        properties: {
+          address: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Proxy (or any contract) address to watch',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to monitor',
+          },
+        },
+      },
+      notes: 'Compares against the values recorded at watcher creation. Use triggerMode "once" or "edge" to be alerted a single time per upgrade.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.address || !config.address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid address format');
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Record the baseline the watcher compares against
+  async init(config) {
+    const client = chains[config.chain || DEFAULT_CHAIN];
+    const baseline = await readSnapshot(client, config.address);
+    return { baseline, recordedAt: new Date().toISOString() };
+  },
+
+  async check(config, state = {}) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    const current = await readSnapshot(client, config.address);
+
+    // No baseline recorded at creation: record it now
+    if (!state.baseline) {
+      return {
+        triggered: false,
+        data: {
+          address: config.address,
+          chain,
+          ...current,
+          changes: [],
+          condition: 'Baseline recorded',
+        },
+        state: { baseline: current, recordedAt: new Date().toISOString() },
+      };
+    }
+
+    const changes = Object.keys(current)
+      .filter(field => current[field] !== state.baseline[field])
+      .map(field => ({ field, from: state.baseline[field], to: current[field] }));
+
+    return {
+      triggered: changes.length > 0,
+      data: {
+        address: config.address,
+        chain,
+        ...current,
+        baseline: state.baseline,
+        baselineRecordedAt: state.recordedAt || null,
+        changes,
+        condition: changes.length > 0
+          ? `Changed since baseline: ${changes.map(c => `${c.field} ${c.from} -> ${c.to}`).join(', ')}`
+          : 'No changes since baseline',
+      },
+    };
+  },
+};
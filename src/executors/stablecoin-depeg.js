@@ -0,0 +1,107 @@
+// Stablecoin Depeg Executor
+// Watches a list of stablecoins for deviations from their peg
+
+import { fetchTokenPrices } from './token-price.js';
+
+const DEFAULT_TOKENS = ['USDC', 'USDT', 'DAI'];
+const MAX_TOKENS = 25;
+
+export const stablecoinDepegExecutor = {
+  describe() {
+    return {
+      id: 'stablecoin-depeg',
+      name: 'Stablecoin Depeg Alert',
+      category: 'price',
+      description: 'Get notified when any watched stablecoin deviates from its peg by more than N basis points',
+      configSchema: {
+        type: 'object',
+        required: ['thresholdBps'],
+        properties: {
+          tokens: {
+            type: 'array',
+            items: { type: 'string' },
+            default: DEFAULT_TOKENS,
+            maxItems: MAX_TOKENS,
+            description: 'Stablecoin symbols (e.g., USDC, USDT, DAI) or CoinGecko IDs',
+          },
+          thresholdBps: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Deviation from peg in basis points (e.g., 50 = 0.5%)',
+          },
+          peg: {
+            type: 'number',
+            default: 1,
+            description: 'Peg price in the quote currency (default: 1)',
+          },
+          currency: {
+            type: 'string',
+            default: 'usd',
+            description: 'Quote currency (default: usd)',
+          },
+        },
+      },
+      notes: 'All tokens are priced in a single CoinGecko request per check.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (config.tokens !== undefined) {
+      if (!Array.isArray(config.tokens) || config.tokens.length === 0) {
+        errors.push('Tokens must be a non-empty array');
+      } else if (config.tokens.length > MAX_TOKENS) {
+        errors.push(`At most ${MAX_TOKENS} tokens per watcher`);
+      } else if (config.tokens.some(t => !t || typeof t !== 'string')) {
+        errors.push('Each token must be a symbol or CoinGecko ID');
+      }
+    }
+    if (typeof config.thresholdBps !== 'number' || config.thresholdBps <= 0) {
+      errors.push('thresholdBps must be a positive number');
+    }
+    if (config.peg !== undefined && (typeof config.peg !== 'number' || config.peg <= 0)) {
+      errors.push('Peg must be a positive number');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config) {
+    const tokens = config.tokens || DEFAULT_TOKENS;
+    const currency = config.currency || 'usd';
+    const peg = config.peg || 1;
+
+    const prices = await fetchTokenPrices(tokens, currency);
+
+    const results = tokens.map(token => {
+      const { coinId, price } = prices[token];
+      const deviationBps = Math.round(((price - peg) / peg) * 10000 * 100) / 100;
+      return {
+        token: token.toUpperCase(),
+        coinId,
+        price,
+        deviationBps,
+        depegged: Math.abs(deviationBps) > config.thresholdBps,
+      };
+    });
+
+    const depegged = results
+      .filter(r => r.depegged)
+      .map(({ depegged: _, ...r }) => r);
+
+    return {
+      triggered: depegged.length > 0,
+      data: {
+        depegged,
+        prices: results.map(({ depegged: _, ...r }) => r),
+        peg,
+        currency: currency.toUpperCase(),
+        thresholdBps: config.thresholdBps,
+        condition: depegged.length > 0
+          ? `Depegged: ${depegged.map(d => `${d.token} at $${d.price} (${d.deviationBps > 0 ? '+' : ''}${d.deviationBps} bps)`).join(', ')}`
+          : `All ${results.length} stablecoins within ${config.thresholdBps} bps of $${peg}`,
+      },
+    };
+  },
+};
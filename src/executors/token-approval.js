@@ -0,0 +1,285 @@
+// Token Approval Executor
+// Watches a wallet's ERC-20 allowances for large or unlimited approvals
+
+import { erc20Abi, formatUnits, maxUint256, parseAbiItem } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+import { getToken } from './token-registry.js';
+
+const APPROVAL_EVENT = parseAbiItem('event Approval(address indexed owner, address indexed spender, uint256 value)');
+
+// Anything this large is treated as an unlimited approval (wallets don't all use exactly maxUint256)
+const UNLIMITED_ALLOWANCE = maxUint256 / 2n;
+
+// Same getLogs limits as the contract event executor
+const MAX_BLOCK_RANGE = 2000;
+const MAX_APPROVALS_PER_ALERT = 50;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * Read token decimals/symbol once per check, from the token registry if listed
+ * (null if the token doesn't implement them)
+ */
+async function readTokenInfo(chain, token, cache) {
+  const key = token.toLowerCase();
+  if (!cache.has(key)) {
+    const known = getToken(chain, token);
+    const [decimals, symbol] = known
+      ? [known.decimals, known.symbol]
+      : await Promise.all([
+        chains[chain].readContract({ address: token, abi: erc20Abi, functionName: 'decimals' }).catch(() => null),
+        chains[chain].readContract({ address: token, abi: erc20Abi, functionName: 'symbol' }).catch(() => null),
+      ]);
+    cache.set(key, { decimals, symbol });
+  }
+  return cache.get(key);
+}
+
+/**
+ * Classify an allowance as risky (unlimited, or above the threshold in token units)
+ */
+function assessAllowance(raw, info, config) {
+  const unlimited = raw >= UNLIMITED_ALLOWANCE;
+  const amount = info.decimals !== null ? parseFloat(formatUnits(raw, info.decimals)) : null;
+
+  let risky;
+  if (unlimited) {
+    risky = true;
+  } else if (config.unlimitedOnly) {
+    risky = false;
+  } else if (amount !== null) {
+    risky = amount > (config.threshold || 0);
+  } else {
+    // Without decimals only a non-zero allowance can be judged
+    risky = raw > 0n && !config.threshold;
+  }
+
+  return {
+    allowance: unlimited ? 'unlimited' : (amount ?? raw.toString()),
+    unlimited,
+    risky,
+  };
+}
+
+export const tokenApprovalExecutor = {
+  describe() {
+    return {
+      id: 'token-approval',
+      name: 'Token Approval Alert',
+      category: 'security',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when a wallet grants a large or unlimited ERC-20 approval',
+      configSchema: {
+        type: 'object',
+        required: ['owner'],
+        properties: {
+          owner: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Wallet address to protect',
+          },
+          tokens: {
+            type: 'array',
+            items: { type: 'string', pattern: '^0x[a-fA-F0-9]{40}$' },
+            description: 'ERC-20 token contracts to watch (required with spenders, optional filter for discovery)',
+          },
+          spenders: {
+            type: 'array',
+            items: { type: 'string', pattern: '^0x[a-fA-F0-9]{40}$' },
+            description: 'Spenders whose allowances are read each check. Omit to discover new Approval events instead',
+          },
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            default: 0,
+            description: 'Alert on allowances above this amount in token units (unlimited approvals always alert)',
+          },
+          unlimitedOnly: {
+            type: 'boolean',
+            default: false,
+            description: 'Only alert on unlimited approvals',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to monitor',
+          },
+        },
+      },
+      notes: 'With spenders, each risky allowance alerts once until it is revoked. Without spenders, Approval events for the owner are scanned from a per-watcher block cursor.',
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.owner || !config.owner.match(ADDRESS_PATTERN)) {
+      errors.push('Invalid owner address');
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+    for (const field of ['tokens', 'spenders']) {
+      const list = config[field];
+      if (list === undefined) continue;
+      if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${field} must be a non-empty array`);
+      } else if (list.some(a => typeof a !== 'string' || !a.match(ADDRESS_PATTERN))) {
+        errors.push(`${field} must contain only addresses`);
+      }
+    }
+    if (config.spenders && !config.tokens) {
+      errors.push('tokens are required when watching spenders');
+    }
+    if (config.threshold !== undefined && (typeof config.threshold !== 'number' || config.threshold < 0)) {
+      errors.push('Threshold must be a non-negative number');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // Discovery mode starts its block cursor at creation
+  async init(config) {
+    if (config.spenders) return {};
+    const client = chains[config.chain || DEFAULT_CHAIN];
+    const latest = await client.getBlockNumber();
+    return { lastBlock: Number(latest) };
+  },
+
+  async check(config, state = {}) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    return config.spenders
+      ? checkAllowances(client, chain, config, state)
+      : discoverApprovals(client, chain, config, state);
+  },
+};
+
+/**
+ * Read allowance(owner, spender) for every token/spender pair. Each risky
+ * pair alerts once, and again only after it was revoked and re-approved.
+ */
+async function checkAllowances(client, chain, config, state) {
+  const cache = new Map();
+  const pairs = config.tokens.flatMap(token => config.spenders.map(spender => ({ token, spender })));
+
+  const allowances = await Promise.all(pairs.map(async ({ token, spender }) => {
+    const [raw, info] = await Promise.all([
+      client.readContract({
+        address: token,
+        abi: erc20Abi,
+        functionName: 'allowance',
+        args: [config.owner, spender],
+      }),
+      readTokenInfo(chain, token, cache),
+    ]);
+    return {
+      token,
+      symbol: info.symbol,
+      spender,
+      ...assessAllowance(raw, info, config),
+    };
+  }));
+
+  const pairKey = (a) => `${a.token.toLowerCase()}:${a.spender.toLowerCase()}`;
+  const previouslyFlagged = new Set(state.flagged || []);
+  const risky = allowances.filter(a => a.risky);
+  const approvals = risky
+    .filter(a => !previouslyFlagged.has(pairKey(a)))
+    .map(({ risky: _, ...a }) => a);
+
+  return {
+    triggered: approvals.length > 0,
+    data: {
+      owner: config.owner,
+      chain,
+      mode: 'allowances',
+      approvals,
+      allowances: allowances.map(({ risky: _, ...a }) => a),
+      threshold: config.threshold || 0,
+      condition: approvals.length > 0
+        ? `${approvals.length} new risky approval(s): ${approvals.map(a => `${a.allowance} ${a.symbol || a.token} to ${a.spender}`).join(', ')}`
+        : `${risky.length} risky allowance(s), none new`,
+    },
+    state: { flagged: risky.map(pairKey) },
+  };
+}
+
+/**
+ * Scan Approval(owner, *, value) logs since the last checked block
+ */
+async function discoverApprovals(client, chain, config, state) {
+  const latest = Number(await client.getBlockNumber());
+
+  // First run without a cursor: start watching from the current block
+  if (state.lastBlock == null) {
+    return {
+      triggered: false,
+      data: {
+        owner: config.owner,
+        chain,
+        mode: 'discovery',
+        fromBlock: latest,
+        toBlock: latest,
+        approvals: [],
+      },
+      state: { lastBlock: latest },
+    };
+  }
+
+  const fromBlock = state.lastBlock + 1;
+  const toBlock = Math.min(latest, fromBlock + MAX_BLOCK_RANGE - 1);
+
+  let logs = [];
+  if (fromBlock <= toBlock) {
+    logs = await client.getLogs({
+      address: config.tokens,
+      event: APPROVAL_EVENT,
+      args: { owner: config.owner },
+      fromBlock: BigInt(fromBlock),
+      toBlock: BigInt(toBlock),
+      // Skip ERC-721 Approval logs, which index the third argument
+      strict: true,
+    });
+  }
+
+  const cache = new Map();
+  const approvals = [];
+  for (const log of logs) {
+    const info = await readTokenInfo(chain, log.address, cache);
+    const assessment = assessAllowance(log.args.value, info, config);
+    if (!assessment.risky) continue;
+
+    approvals.push({
+      token: log.address,
+      symbol: info.symbol,
+      spender: log.args.spender,
+      allowance: assessment.allowance,
+      unlimited: assessment.unlimited,
+      blockNumber: Number(log.blockNumber),
+      transactionHash: log.transactionHash,
+    });
+  }
+
+  return {
+    triggered: approvals.length > 0,
+    data: {
+      owner: config.owner,
+      chain,
+      mode: 'discovery',
+      fromBlock,
+      toBlock: Math.max(toBlock, state.lastBlock),
+      approvals: approvals.slice(0, MAX_APPROVALS_PER_ALERT),
+      truncated: approvals.length > MAX_APPROVALS_PER_ALERT,
+      threshold: config.threshold || 0,
+      condition: `${approvals.length} risky approval(s) by ${config.owner} in blocks ${fromBlock}-${toBlock}`,
+    },
+    state: { lastBlock: Math.max(toBlock, state.lastBlock) },
+  };
+}
@@ -0,0 +1,127 @@
+// Token Balance Executor
+// Watches for an ERC-20 token balance above/below threshold
+
+import { erc20Abi, formatUnits } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+import { getToken } from './token-registry.js';
+
+export const tokenBalanceExecutor = {
+  describe() {
+    return {
+      id: 'token-balance',
+      name: 'Token Balance Alert',
+      category: 'wallet',
+      chains: CHAIN_NAMES,
+      description: 'Get notified when an ERC-20 token balance goes above or below a threshold',
+      configSchema: {
+        type: 'object',
+        required: ['address', 'token', 'threshold', 'direction'],
+        properties: {
+          address: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Wallet address to watch',
+          },
+          token: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'ERC-20 token contract address',
+          },
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            description: 'Balance threshold in token units (e.g., 100 for 100 USDC)',
+          },
+          direction: {
+            type: 'string',
+            enum: ['above', 'below'],
+            description: 'Alert when balance goes above or below threshold',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
+            description: 'Which chain to monitor',
+          },
+        },
+      },
+    };
+  },
+
+  validate(config) {
+    const errors = [];
+
+    if (!config.address || !config.address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid address format');
+    }
+    if (!config.token || !config.token.match(/^0x[a-fA-F0-9]{40}$/)) {
+      errors.push('Invalid token contract address');
+    }
+    if (typeof config.threshold !== 'number' || config.threshold < 0) {
+      errors.push('Threshold must be a non-negative number');
+    }
+    if (!config.expression && !['above', 'below'].includes(config.direction)) {
+      errors.push('Direction must be "above" or "below"');
+    }
+    if (config.chain && !chains[config.chain]) {
+      errors.push(`Unsupported chain: ${config.chain}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  async check(config) {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const client = chains[chain];
+
+    if (!client) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    // Tokens in the registry skip the decimals/symbol reads
+    const known = getToken(chain, config.token);
+
+    const [rawBalance, decimals, symbol] = await Promise.all([
+      client.readContract({
+        address: config.token,
+        abi: erc20Abi,
+        functionName: 'balanceOf',
+        args: [config.address],
+      }),
+      known?.decimals ?? client.readContract({
+        address: config.token,
+        abi: erc20Abi,
+        functionName: 'decimals',
+      }),
+      // symbol() is optional in ERC-20, fall back to the contract address
+      known?.symbol ?? client.readContract({
+        address: config.token,
+        abi: erc20Abi,
+        functionName: 'symbol',
+      }).catch(() => null),
+    ]);
+
+    const balance = parseFloat(formatUnits(rawBalance, decimals));
+    const label = symbol || config.token;
+
+    const triggered = config.direction === 'above'
+      ? balance > config.threshold
+      : balance < config.threshold;
+
+    return {
+      triggered,
+      value: balance,
+      data: {
+        address: config.address,
+        token: config.token,
+        symbol,
+        decimals,
+        chain,
+        balance,
+        threshold: config.threshold,
+        direction: config.direction,
+        condition: `${balance.toLocaleString()} ${label} is ${config.direction} ${config.threshold} ${label}`,
+      },
+    };
+  },
+};
@@ -1,25 +1,63 @@
 // Token Price Executor
 // Watches for token prices from CoinGecko (free API)
 
+import * as store from '../store.js';
+import { PRICE_PROVIDERS, AGGREGATIONS, DEFAULT_PRICE_SOURCES, validatePriceSources, getPrice } from './price-providers.js';
+import { resolveCoinId, checkTokenReference, tokenSymbol } from './token-registry.js';
+import { CHAIN_NAMES } from '../chains.js';
+import { limitConcurrency } from './concurrency.js';
+
 const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+const BATCH_CONCURRENCY = 4; // Distinct price reads in flight during a batched check
 
-// Common token ID mappings
-const TOKEN_IDS = {
-  'eth': 'ethereum',
-  'btc': 'bitcoin',
-  'usdc': 'usd-coin',
-  'usdt': 'tether',
-  'dai': 'dai',
-  'weth': 'weth',
-  'matic': 'matic-network',
-  'sol': 'solana',
-  'avax': 'avalanche-2',
-  'op': 'optimism',
-  'arb': 'arbitrum',
-  'link': 'chainlink',
-  'uni': 'uniswap',
-  'aave': 'aave',
-};
+/**
+ * Fetch prices for a set of CoinGecko IDs in a single request and record
+ * them in the price history. Returns CoinGecko's { [coinId]: { [currency]: price } }.
+ */
+export async function fetchCoinPrices(coinIds, currency) {
+  const url = `${COINGECKO_API}/simple/price?ids=${coinIds.join(',')}&vs_currencies=${currency}`;
+  const response = await fetch(url);
+  
+  if (!response.ok) {
+    throw new Error(`CoinGecko API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  
+  // Feed the rolling price history used by the price-change executor
+  await store.recordPriceSamples(coinIds
+    .filter(coinId => data[coinId]?.[currency] !== undefined)
+    .map(coinId => ({ key: `${coinId}:${currency}`, price: data[coinId][currency] })));
+  
+  return data;
+}
+
+/**
+ * Fetch prices for several tokens from CoinGecko in a single request
+ * and record them in the price history. Returns { [token]: { coinId, price } }.
+ */
+export async function fetchTokenPrices(tokens, currency = 'usd') {
+  const data = await fetchCoinPrices([...new Set(tokens.map(resolveCoinId))], currency);
+  const prices = {};
+  
+  for (const token of tokens) {
+    const coinId = resolveCoinId(token);
+    if (!data[coinId] || data[coinId][currency] === undefined) {
+      throw new Error(`Price not found for ${token}`);
+    }
+    prices[token] = { coinId, price: data[coinId][currency] };
+  }
+  
+  return prices;
+}
+
+/**
+ * Fetch a single token price from CoinGecko (and record it in the price history)
+ */
+export async function fetchTokenPrice(token, currency = 'usd') {
+  const prices = await fetchTokenPrices([token], currency);
+  return prices[token];
+}
 
 export const tokenPriceExecutor = {
   describe() {
@@ -34,7 +72,7 @@ export const tokenPriceExecutor = {
         properties: {
           token: {
             type: 'string',
-            description: 'Token symbol (e.g., ETH, BTC) or CoinGecko ID',
+            description: 'Token symbol (e.g., ETH, BTC), CoinGecko ID, or chain:address from the token registry',
           },
           threshold: {
             type: 'number',
@@ -51,9 +89,42 @@ export const tokenPriceExecutor = {
             default: 'usd',
             description: 'Quote currency (default: usd)',
           },
+          sources: {
+            type: 'array',
+            items: { type: 'string', enum: Object.keys(PRICE_PROVIDERS) },
+            default: DEFAULT_PRICE_SOURCES,
+            description: 'Price sources, in failover order',
+          },
+          aggregation: {
+            type: 'string',
+            enum: AGGREGATIONS,
+            default: 'first',
+            description: 'first: first source that answers; median: median of every source that answers',
+          },
+          minSources: {
+            type: 'number',
+            minimum: 1,
+            default: 1,
+            description: 'Sources that must answer for a median price',
+          },
+          chain: {
+            type: 'string',
+            enum: CHAIN_NAMES,
+            description: 'Preferred chain for on-chain sources (Chainlink, Uniswap v3)',
+          },
+          pool: {
+            type: 'string',
+            pattern: '^0x[a-fA-F0-9]{40}$',
+            description: 'Uniswap v3 pool against a USD stablecoin (default: WETH/USDC for ETH)',
+          },
+          twapSeconds: {
+            type: 'number',
+            default: 1800,
+            description: 'Uniswap v3 TWAP window in seconds',
+          },
         },
       },
-      notes: 'Uses CoinGecko free API. Rate limited to ~10-30 calls/minute.',
+      notes: 'CoinGecko (default) is rate limited to ~10-30 calls/minute; add chainlink or uniswap-v3 as fallbacks. Chainlink and Uniswap v3 quote in USD only.',
     };
   },
 
@@ -62,54 +133,94 @@ export const tokenPriceExecutor = {
     
     if (!config.token || typeof config.token !== 'string') {
       errors.push('Token is required');
+    } else {
+      const tokenError = checkTokenReference(config.token);
+      if (tokenError) errors.push(tokenError);
     }
     if (typeof config.threshold !== 'number' || config.threshold < 0) {
       errors.push('Threshold must be a non-negative number');
     }
-    if (!['above', 'below'].includes(config.direction)) {
+    if (!config.expression && !['above', 'below'].includes(config.direction)) {
       errors.push('Direction must be "above" or "below"');
     }
+    validatePriceSources(config, errors);
     
     return { valid: errors.length === 0, errors };
   },
 
   async check(config) {
-    // Resolve token symbol to CoinGecko ID
-    const tokenLower = config.token.toLowerCase();
-    const coinId = TOKEN_IDS[tokenLower] || tokenLower;
-    const currency = config.currency || 'usd';
-    
-    // Fetch price from CoinGecko
-    const url = `${COINGECKO_API}/simple/price?ids=${coinId}&vs_currencies=${currency}`;
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`CoinGecko API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data[coinId] || data[coinId][currency] === undefined) {
-      throw new Error(`Price not found for ${config.token}`);
-    }
-    
-    const price = data[coinId][currency];
-    
-    const triggered = config.direction === 'above'
-      ? price > config.threshold
-      : price < config.threshold;
+    return priceResult(config, await getPrice(config.token, config));
+  },
 
-    return {
-      triggered,
-      data: {
-        token: config.token.toUpperCase(),
-        coinId,
-        price,
-        currency: currency.toUpperCase(),
-        threshold: config.threshold,
-        direction: config.direction,
-        condition: `${config.token.toUpperCase()} at $${price.toLocaleString()} is ${config.direction} $${config.threshold.toLocaleString()}`,
-      },
-    };
+  // Watchers on the same token with the same source options share one price
+  // read, and every watcher with CoinGecko among its sources shares one request per currency
+  checkBatch(items) {
+    const prefetch = prefetchCoinGecko(items);
+    const run = limitConcurrency(BATCH_CONCURRENCY);
+    const reads = new Map();
+
+    return items.map(async ({ config }) => {
+      // Inside the item's own promise: a malformed stored config fails only its watcher
+      const currency = (config.currency || 'usd').toLowerCase();
+      const key = JSON.stringify([
+        config.token.toLowerCase(), currency, config.sources, config.aggregation,
+        config.minSources, config.chain, config.pool, config.twapSeconds,
+      ]);
+      if (!reads.has(key)) {
+        reads.set(key, prefetch.then(prefetched =>
+          run(() => getPrice(config.token, config, { coingecko: prefetched[currency] }))));
+      }
+      return reads.get(key).then(quote => priceResult(config, quote));
+    });
   },
 };
+
+/**
+ * One CoinGecko request per quote currency for the batch's watchers that list
+ * CoinGecko as a source. Returns { [currency]: prices, or the Error the request hit }.
+ */
+async function prefetchCoinGecko(items) {
+  const coinIds = {};
+  for (const { config } of items) {
+    try {
+      const currency = (config.currency || 'usd').toLowerCase();
+      if (!(config.sources || DEFAULT_PRICE_SOURCES).includes('coingecko')) continue;
+      (coinIds[currency] ||= new Set()).add(resolveCoinId(config.token));
+    } catch (e) {
+      // Unresolvable tokens and malformed configs fail in their own check
+    }
+  }
+
+  const prefetched = {};
+  for (const [currency, ids] of Object.entries(coinIds)) {
+    prefetched[currency] = await fetchCoinPrices([...ids], currency).catch(e => e);
+  }
+  return prefetched;
+}
+
+/**
+ * Build a watcher's check result from a price quote
+ */
+function priceResult(config, { coinId, price, source }) {
+  const currency = config.currency || 'usd';
+  const symbol = tokenSymbol(config.token);
+  
+  const triggered = config.direction === 'above'
+    ? price > config.threshold
+    : price < config.threshold;
+
+  return {
+    triggered,
+    value: price,
+    data: {
+      token: symbol,
+      coinId: coinId || resolveCoinId(config.token),
+      price,
+      currency: currency.toUpperCase(),
+      source,
+      threshold: config.threshold,
+      direction: config.direction,
+      condition: `${symbol} at $${price.toLocaleString()} is ${config.direction} $${config.threshold.toLocaleString()}`,
+    },
+  };
+}
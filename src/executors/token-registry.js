@@ -0,0 +1,223 @@
+// Token registry - ERC-20 metadata keyed by chain and contract address
+//
+// Built-in entries live in tokens.json; operators add more through
+// POST /marketplace/tokens (persisted by the store and merged in at boot).
+
+import { readFileSync } from 'fs';
+import { getAddress } from 'viem';
+import * as store from '../store.js';
+import { chains } from '../chains.js';
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const SYMBOL_PATTERN = /^[A-Za-z0-9.+\-_$]{1,20}$/;
+const COINGECKO_ID_PATTERN = /^[a-z0-9-]{1,100}$/;
+
+const builtIn = JSON.parse(readFileSync(new URL('./tokens.json', import.meta.url), 'utf-8'));
+
+// Native and off-chain assets priced by symbol: SYMBOL -> CoinGecko ID
+const ASSETS = builtIn.assets;
+
+// "chain:address" (lowercase) -> entry
+const registry = new Map();
+
+const keyOf = (chain, address) => `${chain}:${address.toLowerCase()}`;
+
+// "chain:0x..." or a bare contract address, as opposed to a symbol / CoinGecko ID
+const isContractReference = (reference) => reference.includes(':') || ADDRESS_PATTERN.test(reference);
+
+function register(entry, source) {
+  const token = {
+    chain: entry.chain,
+    address: getAddress(entry.address),
+    symbol: entry.symbol,
+    decimals: entry.decimals,
+    coingeckoId: entry.coingeckoId,
+    priceFeed: entry.priceFeed ? getAddress(entry.priceFeed) : null,
+    source,
+    operatorId: entry.operatorId || null,
+  };
+  registry.set(keyOf(token.chain, token.address), token);
+  return token;
+}
+
+for (const entry of builtIn.tokens) {
+  register(entry, 'built-in');
+}
+
+/**
+ * Merge operator-registered tokens into the registry (call once at boot)
+ */
+export async function loadTokenRegistry() {
+  const tokens = await store.getTokens();
+  for (const entry of tokens) {
+    // Built-in entries win over operator entries for the same contract
+    if (!registry.has(keyOf(entry.chain, entry.address))) {
+      register(entry, 'operator');
+    }
+  }
+  return registry.size;
+}
+
+/**
+ * Registry entry for a contract on a chain (null if unknown)
+ */
+export function getToken(chain, address) {
+  if (!chain || !address) return null;
+  return registry.get(keyOf(chain, address)) || null;
+}
+
+/**
+ * List registry entries, optionally filtered by chain and/or symbol
+ */
+export function listTokens(filters = {}) {
+  let tokens = [...registry.values()];
+
+  if (filters.chain) {
+    tokens = tokens.filter(t => t.chain === filters.chain);
+  }
+  if (filters.symbol) {
+    tokens = tokens.filter(t => t.symbol.toLowerCase() === filters.symbol.toLowerCase());
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the registry entry a token reference points to. References are
+ * "chain:0x..." (exact), a bare contract address, or a symbol. Bare addresses
+ * and symbols only match built-in entries: operator entries are reachable by
+ * chain:address alone, so registering one can't change what an existing
+ * watcher's reference resolves to. Returns null if nothing matches and throws
+ * if the reference matches tokens with different CoinGecko IDs.
+ */
+export function lookupToken(reference) {
+  const [chain, address] = reference.includes(':') ? reference.split(':') : [null, reference];
+
+  if (chain) {
+    if (!chains[chain]) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+    if (!ADDRESS_PATTERN.test(address)) {
+      throw new Error(`Invalid contract address: ${address}`);
+    }
+    return getToken(chain, address);
+  }
+
+  const matches = (ADDRESS_PATTERN.test(address)
+    ? [...registry.values()].filter(t => t.address.toLowerCase() === address.toLowerCase())
+    : listTokens({ symbol: address })
+  ).filter(t => t.source === 'built-in');
+
+  // The same token bridged to several chains shares a CoinGecko ID; anything else is a collision
+  if (new Set(matches.map(t => t.coingeckoId)).size > 1) {
+    const candidates = matches.map(t => `${t.chain}:${t.address} (${t.coingeckoId})`).join(', ');
+    throw new Error(`${reference} is ambiguous; use chain:address. Candidates: ${candidates}`);
+  }
+
+  return matches[0] || null;
+}
+
+/**
+ * Resolve a token reference (symbol, CoinGecko ID, "chain:0x..." or contract
+ * address) to a CoinGecko ID
+ */
+export function resolveCoinId(reference) {
+  const asset = ASSETS[reference.toUpperCase()];
+  if (asset) return asset;
+
+  const token = lookupToken(reference);
+  if (token) return token.coingeckoId;
+
+  if (isContractReference(reference)) {
+    throw new Error(`Token ${reference} is not in the token registry`);
+  }
+
+  // Anything else is taken to be a CoinGecko ID
+  return reference.toLowerCase();
+}
+
+/**
+ * Error message for a token reference that can't be resolved (null if it can)
+ */
+export function checkTokenReference(reference) {
+  try {
+    if (!lookupToken(reference) && isContractReference(reference)) {
+      return `Token ${reference} is not in the token registry`;
+    }
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Display symbol for a token reference (the registry symbol for contract references)
+ */
+export function tokenSymbol(reference) {
+  if (isContractReference(reference)) {
+    return lookupToken(reference)?.symbol || reference;
+  }
+  return reference.toUpperCase();
+}
+
+/**
+ * Validate a token entry submitted by an operator
+ */
+export function validateToken(entry) {
+  const errors = [];
+
+  if (!chains[entry.chain]) {
+    errors.push(`Unsupported chain: ${entry.chain}. Available: ${Object.keys(chains).join(', ')}`);
+  }
+  if (typeof entry.address !== 'string' || !ADDRESS_PATTERN.test(entry.address)) {
+    errors.push('Invalid contract address');
+  }
+  if (typeof entry.symbol !== 'string' || !SYMBOL_PATTERN.test(entry.symbol)) {
+    errors.push('Symbol must be 1-20 letters, digits or . + - _ $');
+  }
+  if (!Number.isInteger(entry.decimals) || entry.decimals < 0 || entry.decimals > 36) {
+    errors.push('Decimals must be an integer from 0 to 36');
+  }
+  if (typeof entry.coingeckoId !== 'string' || !COINGECKO_ID_PATTERN.test(entry.coingeckoId)) {
+    errors.push('CoinGecko ID is required (lowercase letters, digits and dashes)');
+  }
+  if (entry.priceFeed !== undefined && entry.priceFeed !== null &&
+      (typeof entry.priceFeed !== 'string' || !ADDRESS_PATTERN.test(entry.priceFeed))) {
+    errors.push('Invalid price feed address');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Message an operator signs with their registered wallet to add a token. It
+ * covers every field, so a signature can't be replayed for a different entry.
+ */
+export function tokenRegistrationMessage(entry, operatorId) {
+  return [
+    'x402-sentinel: register token',
+    `operator: ${operatorId}`,
+    `chain: ${entry.chain}`,
+    `address: ${getAddress(entry.address)}`,
+    `symbol: ${entry.symbol}`,
+    `decimals: ${entry.decimals}`,
+    `coingeckoId: ${entry.coingeckoId}`,
+    `priceFeed: ${entry.priceFeed ? getAddress(entry.priceFeed) : 'none'}`,
+  ].join('\n');
+}
+
+/**
+ * Persist an operator's token and add it to the live registry
+ */
+export async function addToken(entry, operatorId) {
+  const saved = await store.createToken({
+    chain: entry.chain,
+    address: getAddress(entry.address),
+    symbol: entry.symbol,
+    decimals: entry.decimals,
+    coingeckoId: entry.coingeckoId,
+    priceFeed: entry.priceFeed || null,
+    operatorId,
+  });
+  return register(saved, 'operator');
+}
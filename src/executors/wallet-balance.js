@@ -1,16 +1,11 @@
 // Wallet Balance Executor
 // Watches for wallet balance above/below threshold
 
-import { createPublicClient, http, formatEther } from 'viem';
-import { base, mainnet, optimism, arbitrum } from 'viem/chains';
+import { formatEther } from 'viem';
+import { chains, CHAIN_NAMES, DEFAULT_CHAIN } from '../chains.js';
+import { limitConcurrency } from './concurrency.js';
 
-// Chain clients
-const chains = {
-  base: createPublicClient({ chain: base, transport: http('https://mainnet.base.org') }),
-  ethereum: createPublicClient({ chain: mainnet, transport: http('https://eth.llamarpc.com') }),
-  optimism: createPublicClient({ chain: optimism, transport: http('https://mainnet.optimism.io') }),
-  arbitrum: createPublicClient({ chain: arbitrum, transport: http('https://arb1.arbitrum.io/rpc') }),
-};
+const BATCH_CONCURRENCY = 4; // Balance reads in flight during a batched check
 
 export const walletBalanceExecutor = {
   describe() {
@@ -18,6 +13,7 @@ export const walletBalanceExecutor = {
       id: 'wallet-balance',
       name: 'Wallet Balance Alert',
       category: 'wallet',
+      chains: CHAIN_NAMES,
       description: 'Get notified when a wallet balance goes above or below a threshold',
       configSchema: {
         type: 'object',
@@ -31,7 +27,7 @@ export const walletBalanceExecutor = {
           threshold: {
             type: 'number',
             minimum: 0,
-            description: 'Balance threshold in ETH',
+            description: 'Balance threshold in the chain\'s native asset (ETH, or POL on Polygon)',
           },
           direction: {
             type: 'string',
@@ -40,8 +36,8 @@ export const walletBalanceExecutor = {
           },
           chain: {
             type: 'string',
-            enum: ['base', 'ethereum', 'optimism', 'arbitrum'],
-            default: 'base',
+            enum: CHAIN_NAMES,
+            default: DEFAULT_CHAIN,
             description: 'Which chain to monitor',
           },
         },
@@ -58,7 +54,8 @@ export const walletBalanceExecutor = {
     if (typeof config.threshold !== 'number' || config.threshold < 0) {
       errors.push('Threshold must be a non-negative number');
     }
-    if (!['above', 'below'].includes(config.direction)) {
+    // Direction is optional when a condition expression decides instead
+    if (!config.expression && !['above', 'below'].includes(config.direction)) {
       errors.push('Direction must be "above" or "below"');
     }
     if (config.chain && !chains[config.chain]) {
@@ -69,7 +66,7 @@ export const walletBalanceExecutor = {
   },
 
   async check(config) {
-    const chain = config.chain || 'base';
+    const chain = config.chain || DEFAULT_CHAIN;
     const client = chains[chain];
     
     if (!client) {
@@ -77,22 +74,52 @@ export const walletBalanceExecutor = {
     }
 
     const balance = await client.getBalance({ address: config.address });
-    const balanceEth = parseFloat(formatEther(balance));
-    
-    const triggered = config.direction === 'above'
-      ? balanceEth > config.threshold
-      : balanceEth < config.threshold;
+    return balanceResult(config, chain, balance);
+  },
 
-    return {
-      triggered,
-      data: {
-        address: config.address,
-        chain,
-        balance: balanceEth,
-        threshold: config.threshold,
-        direction: config.direction,
-        condition: `${balanceEth.toFixed(6)} ETH is ${config.direction} ${config.threshold} ETH`,
-      },
-    };
+  // Watchers on the same (chain, address) share one balance read
+  checkBatch(items) {
+    const run = limitConcurrency(BATCH_CONCURRENCY);
+    const reads = new Map();
+
+    return items.map(async ({ config }) => {
+      // Inside the item's own promise: a malformed stored config fails only its watcher
+      const chain = config.chain || DEFAULT_CHAIN;
+      const key = `${chain}:${config.address.toLowerCase()}`;
+      if (!reads.has(key)) {
+        reads.set(key, run(() => {
+          if (!chains[chain]) {
+            throw new Error(`Unsupported chain: ${chain}`);
+          }
+          return chains[chain].getBalance({ address: config.address });
+        }));
+      }
+      return reads.get(key).then(balance => balanceResult(config, chain, balance));
+    });
   },
 };
+
+/**
+ * Build a watcher's check result from a raw balance
+ */
+function balanceResult(config, chain, balance) {
+  const balanceEth = parseFloat(formatEther(balance));
+  const symbol = chains[chain].chain.nativeCurrency.symbol;
+  
+  const triggered = config.direction === 'above'
+    ? balanceEth > config.threshold
+    : balanceEth < config.threshold;
+
+  return {
+    triggered,
+    value: balanceEth,
+    data: {
+      address: config.address,
+      chain,
+      balance: balanceEth,
+      threshold: config.threshold,
+      direction: config.direction,
+      condition: `${balanceEth.toFixed(6)} ${symbol} is ${config.direction} ${config.threshold} ${symbol}`,
+    },
+  };
+}
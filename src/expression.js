@@ -0,0 +1,331 @@
+// x402-sentinel: Condition expressions - a small, safe DSL evaluated against check data
+
+/**
+ * Expressions replace an executor's built-in threshold comparison, e.g.
+ *
+ *   price < 2500 || balance / threshold < 0.8
+ *   abs(deviationBps) > 25 && currency == "USD"
+ *   conditions[0].data.price < 2500
+ *
+ * Identifiers are read from the executor's `data` object (dots and [n] walk
+ * into nested values). Supported: numbers, strings, true/false/null,
+ * + - * / %, comparisons, == !=, && || !, parentheses and the functions
+ * abs, min, max and round. Expressions are parsed into a tree and walked;
+ * nothing is ever passed to eval or Function.
+ */
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 32;
+
+const FUNCTIONS = {
+  abs: (x) => Math.abs(x),
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+};
+
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_$][\w$]*)|(\|\||&&|==|!=|<=|>=|[<>+\-*/%!().,[\]]))/iy;
+
+/**
+ * Split an expression into number, string, identifier and operator tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    if (/^\s*$/.test(source.slice(start))) break;
+
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${start + 1}: "${source.slice(start).trim()[0]}"`);
+    }
+
+    const [, number, string, identifier, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: Number(number) });
+    } else if (string !== undefined) {
+      tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (identifier !== undefined) {
+      tokens.push({ type: 'identifier', value: identifier });
+    } else {
+      tokens.push({ type: 'operator', value: operator });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing a plain-object syntax tree
+ */
+function parse(tokens) {
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}"${peek() ? ` but found "${peek().value}"` : ' at end of expression'}`);
+    }
+    position++;
+  };
+
+  function parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) return parseUnary();
+
+    let left = parseBinary(level + 1);
+    while (peek()?.type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const op = tokens[position++].value;
+      const right = parseBinary(level + 1);
+      left = { type: 'binary', op, left, right };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator('!') || isOperator('-')) {
+      const op = tokens[position++].value;
+      if (++depth > MAX_DEPTH) throw new Error('Expression is nested too deeply');
+      const argument = parseUnary();
+      depth--;
+      return { type: 'unary', op, argument };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      if (++depth > MAX_DEPTH) throw new Error('Expression is nested too deeply');
+      const inner = parseBinary(0);
+      depth--;
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      if (Object.hasOwn(KEYWORDS, token.value)) {
+        return { type: 'literal', value: KEYWORDS[token.value] };
+      }
+
+      if (isOperator('(')) {
+        if (!Object.hasOwn(FUNCTIONS, token.value)) {
+          throw new Error(`Unknown function "${token.value}". Available: ${Object.keys(FUNCTIONS).join(', ')}`);
+        }
+        position++;
+        const args = [];
+        while (!isOperator(')')) {
+          args.push(parseBinary(0));
+          if (!isOperator(',')) break;
+          position++;
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      const path = [token.value];
+      while (isOperator('.') || isOperator('[')) {
+        if (tokens[position++].value === '.') {
+          const key = tokens[position++];
+          if (key?.type !== 'identifier') throw new Error('Expected a field name after "."');
+          path.push(key.value);
+        } else {
+          const index = tokens[position++];
+          if (index?.type !== 'number' || !Number.isInteger(index.value)) {
+            throw new Error('Expected an array index inside "[]"');
+          }
+          path.push(index.value);
+          expect(']');
+        }
+      }
+      return { type: 'field', path };
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const tree = parseBinary(0);
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Parse and validate an expression. Throws with a readable message if invalid.
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new Error(`Expression is too long (max ${MAX_LENGTH} characters)`);
+  }
+  return parse(tokenize(source));
+}
+
+/**
+ * Coerce an operand to a number for arithmetic and ordering
+ * (numeric strings are accepted since on-chain values are often serialized as strings)
+ */
+function toNumber(value, op) {
+  const numeric = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof numeric !== 'number' || Number.isNaN(numeric)) {
+    throw new Error(`"${op}" needs numbers, got ${JSON.stringify(value)}`);
+  }
+  return numeric;
+}
+
+function evaluateNode(node, data) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field': {
+      let value = data;
+      for (const key of node.path) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+          throw new Error(`Unknown field "${node.path.join('.')}"`);
+        }
+        value = value[key];
+      }
+      return value;
+    }
+
+    case 'unary': {
+      const value = evaluateNode(node.argument, data);
+      return node.op === '!' ? !value : -toNumber(value, '-');
+    }
+
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => toNumber(evaluateNode(arg, data), node.name)));
+
+    case 'binary': {
+      // Short-circuit so `x != null && x.y > 1` style guards work
+      if (node.op === '&&') return Boolean(evaluateNode(node.left, data)) && Boolean(evaluateNode(node.right, data));
+      if (node.op === '||') return Boolean(evaluateNode(node.left, data)) || Boolean(evaluateNode(node.right, data));
+
+      const left = evaluateNode(node.left, data);
+      const right = evaluateNode(node.right, data);
+
+      if (node.op === '==' || node.op === '!=') {
+        // Same loose rules as the eq/neq operators: case-insensitive strings, numeric strings equal numbers
+        const equal = left === null || right === null
+          ? left === right
+          : String(left).toLowerCase() === String(right).toLowerCase();
+        return node.op === '==' ? equal : !equal;
+      }
+
+      const a = toNumber(left, node.op);
+      const b = toNumber(right, node.op);
+      switch (node.op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return a / b;
+        case '%': return a % b;
+      }
+    }
+  }
+
+  throw new Error(`Unsupported expression node: ${node.type}`);
+}
+
+/**
+ * Evaluate a parsed expression against check data, returning a boolean
+ */
+export function evaluateExpression(tree, data) {
+  return Boolean(evaluateNode(tree, data ?? {}));
+}
+
+/**
+ * Field paths in the expression that check data doesn't have. A path is only
+ * reported where an object lacks the key; a null (or other non-object) value
+ * partway along may be filled in on a later check.
+ */
+export function findUnknownFields(source, data) {
+  const unknown = [];
+
+  const walk = (node) => {
+    switch (node.type) {
+      case 'field': {
+        let value = data ?? {};
+        for (const key of node.path) {
+          if (value === null || typeof value !== 'object') return;
+          if (!Object.hasOwn(value, key)) {
+            unknown.push(node.path.join('.'));
+            return;
+          }
+          value = value[key];
+        }
+        return;
+      }
+      case 'unary': return walk(node.argument);
+      case 'call': return node.args.forEach(walk);
+      case 'binary': walk(node.left); return walk(node.right);
+    }
+  };
+
+  walk(parseExpression(source));
+  return [...new Set(unknown)];
+}
+
+/**
+ * If the config has an `expression`, let it decide whether the check result
+ * is triggered. Results without an expression are returned unchanged.
+ * An expression that can't be evaluated against this data (a null value, a
+ * missing field) leaves the result untriggered with the reason in
+ * `expressionError`: that is the watcher's config, not a failed check.
+ */
+export function applyExpression(config, result) {
+  if (!config?.expression) return result;
+
+  let triggered;
+  try {
+    triggered = evaluateExpression(parseExpression(config.expression), result.data);
+  } catch (e) {
+    return {
+      ...result,
+      triggered: false,
+      data: {
+        ...result.data,
+        expression: config.expression,
+        expressionError: e.message,
+        condition: `${config.expression} could not be evaluated: ${e.message}`,
+      },
+    };
+  }
+  return {
+    ...result,
+    triggered,
+    data: {
+      ...result.data,
+      expression: config.expression,
+      condition: `${config.expression} is ${triggered}`,
+    },
+  };
+}
@@ -26,10 +26,11 @@ export const WatcherTypeSchema = {
   id: 'string',           // unique ID
   operatorId: 'string',   // who created this type
   name: 'string',         // e.g., "Wallet Balance Alert"
-  category: 'string',     // wallet, price, contract, social, custom
+  category: 'string',     // wallet, price, contract, social, defi, security, custom
   description: 'string',  // what it does
   price: 'number',        // cost in USD to create an instance
   configSchema: 'object', // JSON schema for required config
+  chains: 'array?',       // supported chain names (null: the executor's chains, or chain-agnostic)
   status: 'string',       // active, deprecated
   createdAt: 'string',
   stats: {
@@ -46,14 +47,15 @@ export const WatcherSchema = {
   typeId: 'string',       // which watcher type
   operatorId: 'string',   // who runs it
   customerId: 'string',   // who paid for it (wallet or agent ID)
-  config: 'object',       // type-specific configuration
+  config: 'object',       // type-specific configuration (may include a condition `expression`)
   webhook: 'string',      // where to send alerts
-  status: 'string',       // active, paused, expired, suspended, cancelled
+  status: 'string',       // active, paused, expired, suspended, cancelled, completed
   createdAt: 'string',
   expiresAt: 'string?',   // optional expiry
   lastChecked: 'string?',
   lastTriggered: 'string?',
   triggerCount: 'number',
+  state: 'object',        // executor-owned state persisted between checks (e.g. block cursor)
   billingCycle: 'string', // "one-time" | "weekly" | "monthly"
   nextBillingAt: 'string?', // timestamp for next billing (null for one-time)
   billingHistory: 'array', // array of billing records
@@ -63,6 +65,14 @@ export const WatcherSchema = {
   pollingInterval: 'number', // minutes between checks (5, 15, 30, 60)
   ttl: 'number?',         // hours until expiry (24, 72, 168, null)
   retryPolicy: 'object',  // { maxRetries: number, backoffMs: number }
+  // Trigger behavior
+  triggerMode: 'string',  // "level" | "edge" | "once" | "schedule"
+  hysteresis: 'number?',  // band in threshold units before a met condition resets
+  conditionMet: 'boolean?', // condition state at the last check (null before first check)
+  completedAt: 'string?', // timestamp when a "once" watcher fired and completed
+  schedule: 'object?',    // { intervalMinutes } or { dailyAt: "HH:MM" }, optional digest flag ("schedule" mode)
+  lastReportAt: 'string?', // timestamp of the last delivered scheduled report
+  reportDigest: 'object?', // min/max/last of numeric data since the last report
   tier: 'string?',        // "free" | "paid" - indicates tier when created
   // SLA tracking
   sla: 'object',          // { uptimePercent: number, violationCount: number, lastViolation: string?, downtimePeriods: array }
@@ -93,6 +103,7 @@ export const CATEGORIES = [
   'contract',  // smart contract events
   'social',    // mentions, follows
   'defi',      // yields, liquidations
+  'security',  // approvals, drains, upgrades
   'custom',    // catch-all
 ];
 
@@ -111,6 +122,7 @@ export const FREE_TIER = {
 export const POLLING_INTERVALS = [5, 15, 30, 60]; // minutes
 export const TTL_OPTIONS = [24, 72, 168, null]; // hours (null = no expiry)
 export const MAX_RETRIES_LIMIT = 5;
+export const TRIGGER_MODES = ['level', 'edge', 'once', 'schedule'];
 
 // Default polling configuration
 export const DEFAULT_POLLING = {
@@ -119,6 +131,13 @@ export const DEFAULT_POLLING = {
   retryPolicy: { maxRetries: 3, backoffMs: 1000 }
 };
 
+// Default trigger configuration
+export const DEFAULT_TRIGGER = {
+  triggerMode: 'level',
+  hysteresis: 0,
+  schedule: null,
+};
+
 /**
  * Customer - User accounts with tier management
  */
@@ -2,7 +2,9 @@
 
 import { Router } from 'express';
 import * as store from '../store.js';
-import { getExecutor } from '../executors/index.js';
+import { getExecutor, batchChecks } from '../executors/index.js';
+import { evaluateTrigger, updateDigest } from '../triggers.js';
+import { applyExpression } from '../expression.js';
 
 const router = Router();
 
@@ -16,6 +18,7 @@ router.post('/cron/check', async (req, res) => {
     errors: 0, 
     skipped: 0,
     expired: 0,
+    completed: 0,
     retried: 0 
   };
   const startTime = Date.now();
@@ -24,6 +27,8 @@ router.post('/cron/check', async (req, res) => {
   try {
     const watchers = await store.getWatchers({ status: 'active' });
     
+    // Pick out the watchers due for a check, so checks can be batched
+    const due = [];
     for (const watcher of watchers) {
       try {
         // Skip expired watchers
@@ -61,23 +66,41 @@ router.post('/cron/check', async (req, res) => {
           continue;
         }
         
+        due.push({ watcher, executor });
+      } catch (e) {
+        console.error(`Error checking watcher ${watcher.id}:`, e.message);
+        results.errors++;
+      }
+    }
+    const check = batchChecks(due);
+    
+    for (const { watcher, executor } of due) {
+      try {
         results.checked++;
         
-        // Run the check
-        const result = await executor.check(watcher.config);
+        // Run the check (an expression it can't evaluate leaves it untriggered, not failed)
+        const result = applyExpression(watcher.config, (await check(watcher, executor)).result);
+        const trigger = evaluateTrigger(watcher, result, now);
+        const digest = trigger.report ? updateDigest(watcher.reportDigest, result, now) : null;
         
-        // Update watcher
+        // Update watcher (a firing condition and its executor state are recorded once delivered)
         await store.updateWatcher(watcher.id, {
           lastChecked: now.toISOString(),
           lastCheckResult: result.data,
+          ...(!trigger.fire && { conditionMet: trigger.met }),
+          ...(!trigger.fire && result.state && { state: result.state }),
+          ...(trigger.report && { reportDigest: digest }),
         });
         
-        if (result.triggered) {
+        if (trigger.fire) {
           // Fire webhook with retry logic
           const webhookSuccess = await deliverWebhookWithRetry(
             watcher, 
             result.data, 
-            watcher.retryPolicy || { maxRetries: 3, backoffMs: 1000 }
+            watcher.retryPolicy || { maxRetries: 3, backoffMs: 1000 },
+            trigger.report
+              ? { conditionMet: trigger.met, ...(watcher.schedule?.digest && { digest }) }
+              : null
           );
           
           if (webhookSuccess.success) {
@@ -85,11 +108,25 @@ router.post('/cron/check', async (req, res) => {
             await store.updateWatcher(watcher.id, {
               lastTriggered: now.toISOString(),
               triggerCount: watcher.triggerCount + 1,
+              conditionMet: trigger.met,
+              ...(result.state && { state: result.state }),
+              ...(trigger.report && {
+                lastReportAt: now.toISOString(),
+                reportDigest: null,
+              }),
+              ...(trigger.complete && {
+                status: 'completed',
+                completedAt: now.toISOString(),
+                nextBillingAt: null,
+              }),
             });
             await store.incrementOperatorStats(watcher.operatorId, 'totalTriggers');
             await store.incrementWatcherTypeStats(watcher.typeId, 'triggers');
             
             results.triggered++;
+            if (trigger.complete) {
+              results.completed++;
+            }
             if (webhookSuccess.retryCount > 0) {
               results.retried++;
             }
@@ -118,9 +155,10 @@ router.post('/cron/check', async (req, res) => {
 });
 
 /**
- * Deliver webhook with exponential backoff retry logic
+ * Deliver webhook with exponential backoff retry logic.
+ * Scheduled reports pass `report` (extra payload fields) and are sent as "watcher_report".
  */
-async function deliverWebhookWithRetry(watcher, data, retryPolicy) {
+async function deliverWebhookWithRetry(watcher, data, retryPolicy, report = null) {
   const { maxRetries, backoffMs } = retryPolicy;
   let lastError = null;
   
@@ -130,12 +168,13 @@ async function deliverWebhookWithRetry(watcher, data, retryPolicy) {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          event: 'watcher_triggered',
+          event: report ? 'watcher_report' : 'watcher_triggered',
           watcher: {
             id: watcher.id,
             typeId: watcher.typeId,
           },
           data: data,
+          ...report,
           timestamp: new Date().toISOString(),
           source: 'x402-sentinel',
           delivery: {
@@ -1,12 +1,23 @@
 // Marketplace API routes
 
 import { Router } from 'express';
+import { verifyMessage } from 'viem';
 import * as store from '../store.js';
 import { getExecutor, listExecutors } from '../executors/index.js';
+import { listTokens, getToken, validateToken, addToken, tokenRegistrationMessage } from '../executors/token-registry.js';
+import { CHAIN_NAMES, validateChains } from '../chains.js';
 import { CATEGORIES, PLATFORM_FEE, OPERATOR_SHARE, FREE_TIER } from '../models.js';
 
 const router = Router();
 
+/**
+ * Chains a watcher type supports: declared at creation, else its executor's
+ * (null for chain-agnostic types such as price feeds or HTTP checks)
+ */
+function typeChains(type) {
+  return type.chains || getExecutor(type.executorId)?.describe().chains || null;
+}
+
 // ============================================
 // DISCOVERY (free)
 // ============================================
@@ -18,6 +29,7 @@ router.get('/', (req, res) => {
     version: '2.0.0',
     description: 'Agent services marketplace - watchers, alerts, automations',
     categories: CATEGORIES,
+    chains: CHAIN_NAMES,
     builtInExecutors: listExecutors(),
     fees: {
       platform: `${PLATFORM_FEE * 100}%`,
@@ -34,12 +46,14 @@ router.get('/', (req, res) => {
       // Discovery
       'GET /marketplace': 'This info',
       'GET /marketplace/operators': 'List all operators',
-      'GET /marketplace/types': 'List all watcher types',
+      'GET /marketplace/types': 'List all watcher types (filter by category, operatorId, chain)',
       'GET /marketplace/types/:id': 'Get watcher type details',
+      'GET /marketplace/tokens': 'List the token registry (filter by chain, symbol)',
       
       // Operator management
       'POST /marketplace/operators': 'Register as an operator (free)',
       'POST /marketplace/types': 'Create a watcher type (operators only, free)',
+      'POST /marketplace/tokens': 'Add a token to the registry (operators only, signed by the operator wallet)',
       
       // Customer actions
       'POST /marketplace/watchers': 'Create a watcher instance (x402 payment) - idempotent',
@@ -78,12 +92,15 @@ router.get('/operators', async (req, res) => {
 // List watcher types
 router.get('/types', async (req, res) => {
   try {
-    const { category, operatorId } = req.query;
-    const types = await store.getWatcherTypes({ 
+    const { category, operatorId, chain } = req.query;
+    let types = await store.getWatcherTypes({ 
       category, 
       operatorId,
       status: 'active',
     });
+    if (chain) {
+      types = types.filter(t => typeChains(t)?.includes(chain));
+    }
     
     // Enrich with operator names
     const operators = await store.getOperators();
@@ -97,6 +114,7 @@ router.get('/types', async (req, res) => {
         category: t.category,
         description: t.description,
         price: t.price,
+        chains: typeChains(t),
         operator: operatorMap[t.operatorId]?.name || 'Unknown',
         operatorId: t.operatorId,
         stats: t.stats,
@@ -119,6 +137,7 @@ router.get('/types/:id', async (req, res) => {
     
     res.json({
       ...type,
+      chains: typeChains(type),
       operator: operator ? {
         id: operator.id,
         name: operator.name,
@@ -130,6 +149,20 @@ router.get('/types/:id', async (req, res) => {
   }
 });
 
+// List the token registry
+router.get('/tokens', (req, res) => {
+  try {
+    const { chain, symbol } = req.query;
+    const tokens = listTokens({ chain, symbol });
+    res.json({
+      count: tokens.length,
+      tokens,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // OPERATOR MANAGEMENT (free)
 // ============================================
@@ -180,7 +213,7 @@ router.post('/operators', async (req, res) => {
 // Create a watcher type (operator only)
 router.post('/types', async (req, res) => {
   try {
-    const { operatorId, name, category, description, price, executorId, configSchema } = req.body;
+    const { operatorId, name, category, description, price, executorId, configSchema, chains } = req.body;
     
     // Validate operator
     const operator = await store.getOperator(operatorId);
@@ -200,12 +233,26 @@ router.post('/types', async (req, res) => {
     }
     
     // Validate executor if using built-in
-    if (executorId) {
-      const executor = getExecutor(executorId);
-      if (!executor) {
-        return res.status(400).json({ 
-          error: `Unknown executor. Available: ${listExecutors().join(', ')}` 
-        });
+    const executor = executorId && getExecutor(executorId);
+    if (executorId && !executor) {
+      return res.status(400).json({ 
+        error: `Unknown executor. Available: ${listExecutors().join(', ')}` 
+      });
+    }
+    
+    // Declared chains must be known, and within the executor's own chains
+    if (chains !== undefined) {
+      const errors = [];
+      validateChains(chains, errors);
+      const executorChains = executor?.describe().chains;
+      if (errors.length === 0 && executorChains) {
+        const unsupported = chains.filter(c => !executorChains.includes(c));
+        if (unsupported.length > 0) {
+          errors.push(`${executorId} does not support: ${unsupported.join(', ')}`);
+        }
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(', ') });
       }
     }
     
@@ -217,6 +264,7 @@ router.post('/types', async (req, res) => {
       price,
       executorId: executorId || null,
       configSchema: configSchema || null,
+      chains: chains || null,
     });
     
     res.status(201).json({
@@ -233,6 +281,56 @@ router.post('/types', async (req, res) => {
   }
 });
 
+// Add a token to the registry (operator only)
+router.post('/tokens', async (req, res) => {
+  try {
+    const { operatorId, chain, address, symbol, decimals, coingeckoId, priceFeed, signature } = req.body;
+    
+    // Validate operator
+    const operator = await store.getOperator(operatorId);
+    if (!operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    const validation = validateToken({ chain, address, symbol, decimals, coingeckoId, priceFeed });
+    if (!validation.valid) {
+      return res.status(400).json({ error: `Invalid token: ${validation.errors.join(', ')}` });
+    }
+    
+    // The operator proves control of its registered wallet by signing the entry
+    const signMessage = tokenRegistrationMessage({ chain, address, symbol, decimals, coingeckoId, priceFeed }, operatorId);
+    const signed = typeof signature === 'string' && await verifyMessage({
+      address: operator.wallet,
+      message: signMessage,
+      signature,
+    }).catch(() => false);
+    if (!signed) {
+      return res.status(401).json({
+        error: 'Operator signature required: sign signMessage with the operator wallet (EIP-191 personal_sign)',
+        signMessage,
+      });
+    }
+    
+    const existing = getToken(chain, address);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Token already registered',
+        token: existing,
+      });
+    }
+    
+    const token = await addToken({ chain, address, symbol, decimals, coingeckoId, priceFeed }, operatorId);
+    
+    res.status(201).json({
+      success: true,
+      token,
+      message: `${token.symbol} on ${token.chain} added. Watchers can refer to it as ${token.chain}:${token.address}.`,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // WATCHER INSTANCES
 // ============================================
@@ -12,7 +12,7 @@
 
 import { Router } from 'express';
 import * as store from '../store.js';
-import { getExecutor } from '../executors/index.js';
+import { getExecutor, batchChecks } from '../executors/index.js';
 import { 
   PLATFORM_FEE, 
   OPERATOR_SHARE, 
@@ -20,9 +20,14 @@ import {
   TTL_OPTIONS, 
   MAX_RETRIES_LIMIT, 
   DEFAULT_POLLING,
+  TRIGGER_MODES,
+  DEFAULT_TRIGGER,
   FREE_TIER 
 } from '../models.js';
 import { checkDueBillings, processBilling, processAllDueBillings } from '../billing.js';
+import { evaluateTrigger, validateSchedule, updateDigest } from '../triggers.js';
+import { parseExpression, applyExpression, findUnknownFields } from '../expression.js';
+import { PAYMENT_NETWORK, DEFAULT_CHAIN } from '../chains.js';
 
 const router = Router();
 
@@ -142,7 +147,10 @@ async function createSingleWatcher(config) {
     intervalMs,
     checkInterval,
     ttl = DEFAULT_POLLING.ttl,
-    retryPolicy = DEFAULT_POLLING.retryPolicy
+    retryPolicy = DEFAULT_POLLING.retryPolicy,
+    triggerMode = DEFAULT_TRIGGER.triggerMode,
+    hysteresis = DEFAULT_TRIGGER.hysteresis,
+    schedule = DEFAULT_TRIGGER.schedule
   } = config;
   
   // Support intervalMs and checkInterval as aliases for pollingInterval
@@ -182,6 +190,24 @@ async function createSingleWatcher(config) {
     throw new Error(`Invalid retryPolicy. Format: { maxRetries: number (0-5), backoffMs: number }`);
   }
   
+  // Validate trigger configuration
+  if (!TRIGGER_MODES.includes(triggerMode)) {
+    throw new Error(`Invalid triggerMode. Allowed: ${TRIGGER_MODES.join(', ')}`);
+  }
+  
+  if (typeof hysteresis !== 'number' || hysteresis < 0) {
+    throw new Error('Invalid hysteresis. Must be a non-negative number (in threshold units)');
+  }
+  
+  if (triggerMode === 'schedule') {
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      throw new Error(`Invalid schedule: ${scheduleError}`);
+    }
+  } else if (schedule) {
+    throw new Error('schedule requires triggerMode "schedule"');
+  }
+  
   // Generate idempotency hash
   const fulfillmentHash = store.generateFulfillmentHash({ 
     typeId, config: watcherConfig, webhook, customerId 
@@ -255,7 +281,27 @@ async function createSingleWatcher(config) {
     }
   }
   
+  // Parse the condition expression up front so syntax errors surface at creation
+  if (watcherConfig?.expression !== undefined) {
+    try {
+      parseExpression(watcherConfig.expression);
+    } catch (e) {
+      throw new Error(`Invalid expression: ${e.message}`);
+    }
+    // Hysteresis holds the executor's own threshold comparison, which an expression replaces
+    if (hysteresis > 0) {
+      throw new Error('hysteresis cannot be combined with an expression (it applies to the executor\'s threshold)');
+    }
+  }
+  
+  // Types narrowed to some chains reject the others (for executors configured with a single chain)
+  const chainOption = getExecutor(type.executorId)?.describe().configSchema?.properties?.chain;
+  if (type.chains && chainOption && !type.chains.includes(watcherConfig?.chain || DEFAULT_CHAIN)) {
+    throw new Error(`${type.name} supports only: ${type.chains.join(', ')}`);
+  }
+
   // Validate config against executor if available
+  let executorState = {};
   if (type.executorId) {
     const executor = getExecutor(type.executorId);
     if (executor?.validate) {
@@ -264,6 +310,42 @@ async function createSingleWatcher(config) {
         throw new Error(`Invalid config: ${validation.errors.join(', ')}`);
       }
     }
+
+    // Checks against live data that must pass before the watcher is accepted
+    if (executor?.preflight) {
+      try {
+        await executor.preflight(watcherConfig);
+      } catch (e) {
+        throw new Error(`Invalid config: ${e.message}`);
+      }
+    }
+    
+    // Record initial executor state (e.g. block cursors) at creation time
+    if (executor?.init) {
+      try {
+        executorState = await executor.init(watcherConfig) || {};
+      } catch (e) {
+        // Executor falls back to initializing on its first check
+        console.warn(`Executor init failed for ${type.executorId}:`, e.message);
+      }
+    }
+    
+    // Dry-run the check against live data so a mistyped field is rejected
+    // now rather than never firing. Values that are null right now are fine.
+    if (executor && watcherConfig?.expression !== undefined) {
+      let dryRun = null;
+      try {
+        dryRun = await executor.check(watcherConfig, executorState);
+      } catch (e) {
+        // Data unavailable right now (RPC or API error): the syntax check above stands
+        console.warn(`Expression dry run skipped for ${type.executorId}:`, e.message);
+      }
+      const unknown = dryRun ? findUnknownFields(watcherConfig.expression, dryRun.data) : [];
+      if (unknown.length > 0) {
+        const fields = Object.keys(dryRun.data || {}).join(', ');
+        throw new Error(`Invalid expression: unknown field(s) ${unknown.map(f => `"${f}"`).join(', ')}. Available fields: ${fields}`);
+      }
+    }
   }
   
   // Create watcher
@@ -278,10 +360,14 @@ async function createSingleWatcher(config) {
     pollingInterval: adjustedPollingInterval,
     ttl,
     retryPolicy,
+    triggerMode,
+    hysteresis,
+    schedule,
+    state: executorState,
   });
   
   // Record payment
-  const network = process.env.NETWORK || 'eip155:8453';
+  const network = PAYMENT_NETWORK;
   const payment = await store.createPayment({
     watcherId: watcher.id,
     operatorId: type.operatorId,
@@ -345,7 +431,10 @@ router.post('/watchers', async (req, res) => {
       intervalMs,
       checkInterval,
       ttl = DEFAULT_POLLING.ttl,
-      retryPolicy = DEFAULT_POLLING.retryPolicy
+      retryPolicy = DEFAULT_POLLING.retryPolicy,
+      triggerMode,
+      hysteresis,
+      schedule
     } = req.body;
     const customerId = rawCustomerId || req.headers['x-customer-id'] || 'anonymous';
     
@@ -360,7 +449,10 @@ router.post('/watchers', async (req, res) => {
       intervalMs,
       checkInterval,
       ttl,
-      retryPolicy
+      retryPolicy,
+      triggerMode,
+      hysteresis,
+      schedule
     });
     
     if (result.idempotent) {
@@ -495,7 +587,7 @@ router.get('/watchers/:id/refund-status', async (req, res) => {
  * Cron endpoint - check all active watchers with SLA tracking
  */
 router.post('/cron/check', async (req, res) => {
-  const results = { checked: 0, triggered: 0, errors: 0, skipped: 0, slaViolations: 0 };
+  const results = { checked: 0, triggered: 0, completed: 0, errors: 0, skipped: 0, slaViolations: 0 };
   const startTime = Date.now();
   
   try {
@@ -503,37 +595,47 @@ router.post('/cron/check', async (req, res) => {
     const allWatchers = await store.getWatchers();
     const watchers = allWatchers.filter(w => w.status === 'active');
     
+    // Resolve each watcher's executor up front so checks can be batched. A
+    // failed lookup is kept and reported as that watcher's check failure.
+    const due = [];
     for (const watcher of watchers) {
-      let checkSuccessful = false;
-      let checkError = null;
-      
       try {
-        // Get type to find executor
         const type = await store.getWatcherType(watcher.typeId);
-        if (!type || !type.executorId) {
-          results.skipped++;
-          continue;
-        }
-        
-        const executor = getExecutor(type.executorId);
+        const executor = type?.executorId && getExecutor(type.executorId);
         if (!executor) {
           results.skipped++;
           continue;
         }
-        
+        due.push({ watcher, executor });
+      } catch (e) {
+        due.push({ watcher, lookupError: e });
+      }
+    }
+    // Each check (or each watcher of a batched check) times out after 30s
+    const check = batchChecks(due, { timeoutMs: 30000 });
+    
+    for (const { watcher, executor, lookupError } of due) {
+      let checkSuccessful = false;
+      let checkError = null;
+      
+      try {
+        if (lookupError) {
+          throw lookupError;
+        }
         results.checked++;
         
         // Run the check with timeout
-        const checkStartTime = Date.now();
-        const result = await Promise.race([
-          executor.check(watcher.config),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Check timeout')), 30000) // 30s timeout
-          )
-        ]);
+        const { result: checkResult, durationMs: checkDuration } = await check(watcher, executor);
         
         checkSuccessful = true;
-        const checkDuration = Date.now() - checkStartTime;
+        
+        // A condition expression in the config overrides the executor's own comparison
+        // (one it can't evaluate leaves the watcher untriggered, not the check failed)
+        const result = applyExpression(watcher.config, checkResult);
+        
+        // Apply the watcher's trigger mode (level / edge / once / schedule)
+        const trigger = evaluateTrigger(watcher, result);
+        const digest = trigger.report ? updateDigest(watcher.reportDigest, result) : null;
         
         // Update watcher with success
         const updateData = {
@@ -542,13 +644,25 @@ router.post('/cron/check', async (req, res) => {
           lastCheckSuccess: true,
           consecutiveFailures: 0, // Reset on success
         };
+        if (trigger.report) {
+          updateData.reportDigest = digest;
+        }
+        // A firing condition and the executor state behind it (block cursors,
+        // seen IDs, baselines) are only recorded once the webhook lands, so a
+        // failed delivery fires again on the next check over the same range
+        if (!trigger.fire) {
+          updateData.conditionMet = trigger.met;
+          if (result.state) {
+            updateData.state = result.state;
+          }
+        }
         
         // Update SLA tracking
         await updateSLATracking(watcher, true, checkDuration);
         
         await store.updateWatcher(watcher.id, updateData);
         
-        if (result.triggered) {
+        if (trigger.fire) {
           // Fire webhook with retry logic
           let webhookSuccessful = false;
           for (let attempt = 0; attempt < watcher.retryPolicy.maxRetries + 1; attempt++) {
@@ -557,12 +671,16 @@ router.post('/cron/check', async (req, res) => {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                  event: 'watcher_triggered',
+                  event: trigger.report ? 'watcher_report' : 'watcher_triggered',
                   watcher: {
                     id: watcher.id,
                     typeId: watcher.typeId,
                   },
                   data: result.data,
+                  ...(trigger.report && {
+                    conditionMet: trigger.met,
+                    ...(watcher.schedule?.digest && { digest }),
+                  }),
                   timestamp: new Date().toISOString(),
                   source: 'x402-sentinel',
                 }),
@@ -591,11 +709,27 @@ router.post('/cron/check', async (req, res) => {
             await store.updateWatcher(watcher.id, {
               lastTriggered: new Date().toISOString(),
               triggerCount: watcher.triggerCount + 1,
+              conditionMet: trigger.met,
+              ...(result.state && { state: result.state }),
+              // A delivered report starts a new digest period
+              ...(trigger.report && {
+                lastReportAt: new Date().toISOString(),
+                reportDigest: null,
+              }),
+              // "once" watchers are done after their first delivered alert
+              ...(trigger.complete && {
+                status: 'completed',
+                completedAt: new Date().toISOString(),
+                nextBillingAt: null,
+              }),
             });
             await store.incrementOperatorStats(watcher.operatorId, 'totalTriggers');
             await store.incrementWatcherTypeStats(watcher.typeId, 'triggers');
             
             results.triggered++;
+            if (trigger.complete) {
+              results.completed++;
+            }
             console.log(`🔔 Triggered watcher ${watcher.id}: ${JSON.stringify(result.data).slice(0, 100)}`);
           } else {
             results.errors++;
@@ -792,7 +926,7 @@ async function handleSLAViolation(violationData) {
         amount: -refundAmount, // Negative amount = credit
         operatorShare: -refundAmount * 0.8,
         platformShare: -refundAmount * 0.2,
-        network: process.env.NETWORK || 'eip155:8453',
+        network: PAYMENT_NETWORK,
         type: 'sla_violation_refund',
         linkedViolationId: violation.id,
       });
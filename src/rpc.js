@@ -0,0 +1,239 @@
+// x402-sentinel: RPC transports - configurable endpoints per chain with fallback and quorum
+
+import { readFileSync } from 'fs';
+import { http, fallback, custom, ExecutionRevertedError } from 'viem';
+
+/**
+ * Configuration, highest precedence first:
+ *
+ *   RPC_<CHAIN>=https://a,https://b   Ordered endpoint list (first is primary)
+ *   RPC_<CHAIN>_QUORUM=2              Require N of the endpoints to agree on reads
+ *   RPC_CONFIG=./rpc.json             File: { "<chain>": { "urls": [...], "quorum": 2 } }
+ *   RPC_TIMEOUT_MS=10000              Per-request timeout for each endpoint
+ *
+ * Chains without configuration use the public defaults from the chain registry (src/chains.js).
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Reads of chain state, which every honest endpoint answers identically once
+// they are pinned to the same block (reads at "latest" are pinned to the quorum
+// height first). Anything else (gas price, fee estimates, the latest block)
+// legitimately varies between nodes, so it goes to the first endpoint that answers.
+const QUORUM_METHODS = new Set([
+  'eth_call',
+  'eth_getBalance',
+  'eth_getCode',
+  'eth_getStorageAt',
+  'eth_getTransactionCount',
+  'eth_getLogs',
+  'eth_getTransactionReceipt',
+]);
+
+// Position of the block parameter of the state reads (eth_getLogs has a filter instead)
+const BLOCK_PARAM = {
+  eth_call: 1,
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getStorageAt: 2,
+  eth_getTransactionCount: 1,
+  eth_getBlockByNumber: 0,
+};
+
+// How long a round of eth_blockNumber answers is reused for pinning reads
+const HEAD_CACHE_MS = 2000;
+
+function needsQuorum({ method, params }) {
+  if (method === 'eth_getBlockByNumber') {
+    return typeof params?.[0] === 'string' && params[0].startsWith('0x');
+  }
+  return QUORUM_METHODS.has(method);
+}
+
+const isLatest = (tag) => tag === undefined || tag === 'latest';
+
+/**
+ * Pin a read at "latest" to a fixed block, so endpoints at different heights
+ * answer the same question. Returns the pinned request and the block every
+ * endpoint must have reached to answer it (null if none).
+ */
+function pinToBlock({ method, params = [] }, height) {
+  const hex = `0x${height.toString(16)}`;
+
+  if (method === 'eth_getLogs') {
+    const filter = { ...params[0] };
+    if (filter.blockHash) {
+      return { args: { method, params }, minBlock: null };
+    }
+    if (isLatest(filter.fromBlock)) filter.fromBlock = hex;
+    if (isLatest(filter.toBlock)) filter.toBlock = hex;
+    const minBlock = typeof filter.toBlock === 'string' && filter.toBlock.startsWith('0x') ? BigInt(filter.toBlock) : null;
+    return { args: { method, params: [filter, ...params.slice(1)] }, minBlock };
+  }
+
+  const index = BLOCK_PARAM[method];
+  if (index === undefined) {
+    return { args: { method, params }, minBlock: null };
+  }
+  const pinned = [...params];
+  if (isLatest(pinned[index])) pinned[index] = hex;
+  const block = pinned[index];
+  const minBlock = typeof block === 'string' && block.startsWith('0x') ? BigInt(block) : null;
+  return { args: { method, params: pinned }, minBlock };
+}
+
+/**
+ * Ask every endpoint for its head. The quorum height is the highest block at
+ * least `required` endpoints have reached.
+ */
+async function readHeads(endpoints, required) {
+  const answers = await Promise.allSettled(endpoints.map(endpoint => endpoint.request({ method: 'eth_blockNumber' })));
+  const heads = answers
+    .map((answer, i) => (answer.status === 'fulfilled' ? { endpoint: endpoints[i], head: BigInt(answer.value) } : null))
+    .filter(Boolean);
+
+  if (heads.length < required) {
+    const errors = answers.filter(a => a.status === 'rejected').map(a => a.reason.shortMessage || a.reason.message);
+    throw new Error(`RPC quorum not reached for eth_blockNumber (${required} of ${endpoints.length} required): ${errors.join('; ')}`);
+  }
+
+  const height = heads.map(h => h.head).sort((a, b) => (a > b ? -1 : a < b ? 1 : 0))[required - 1];
+  return { heads, height };
+}
+
+function readConfigFile() {
+  const file = process.env.RPC_CONFIG;
+  if (!file) return {};
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read RPC_CONFIG ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Resolve { urls, quorum } for a chain from the environment, RPC_CONFIG and defaults
+ */
+export function getRpcConfig(chainName, defaultUrls = [], fileConfig = readConfigFile()) {
+  // base-sepolia -> RPC_BASE_SEPOLIA
+  const envKey = `RPC_${chainName.toUpperCase().replace(/-/g, '_')}`;
+  const fromFile = fileConfig[chainName] || {};
+
+  const urls = process.env[envKey]
+    ? process.env[envKey].split(',').map(url => url.trim()).filter(Boolean)
+    : fromFile.urls || defaultUrls;
+  if (urls.length === 0) {
+    throw new Error(`No RPC URLs configured for ${chainName}; set ${envKey}`);
+  }
+
+  const quorum = Number(process.env[`${envKey}_QUORUM`] || fromFile.quorum || 1);
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > urls.length) {
+    throw new Error(`${envKey}_QUORUM must be an integer from 1 to the number of ${chainName} RPC URLs (${urls.length})`);
+  }
+
+  return { urls, quorum };
+}
+
+/**
+ * Send a request to every endpoint and resolve with the first result that
+ * `required` of them agree on. Reverts are deterministic and thrown as-is.
+ */
+function quorumRequest(endpoints, required, args) {
+  return new Promise((resolve, reject) => {
+    const tally = new Map();
+    const errors = [];
+    let pending = endpoints.length;
+    let settled = false;
+
+    const finish = () => {
+      pending--;
+      // Give up as soon as the endpoints still out can't make up the quorum
+      const best = Math.max(0, ...[...tally.values()].map(t => t.count));
+      if (!settled && best + pending < required) {
+        settled = true;
+        reject(new Error(`RPC quorum not reached for ${args.method} (${required} of ${endpoints.length} required): ${
+          errors.length > 0 ? errors.join('; ') : 'endpoints disagree'}`));
+      }
+    };
+
+    for (const endpoint of endpoints) {
+      endpoint.request(args).then(result => {
+        const key = JSON.stringify(result);
+        const entry = tally.get(key) || { result, count: 0 };
+        entry.count++;
+        tally.set(key, entry);
+        if (!settled && entry.count >= required) {
+          settled = true;
+          resolve(entry.result);
+        }
+        finish();
+      }, error => {
+        if (!settled && ExecutionRevertedError.nodeMessage.test(error.message)) {
+          settled = true;
+          reject(error);
+        }
+        errors.push(error.shortMessage || error.message);
+        finish();
+      });
+    }
+  });
+}
+
+/**
+ * Build the viem transport for a chain: a single endpoint, an ordered fallback
+ * list, or quorum reads across the list
+ */
+export function createRpcTransport(chainName, defaultUrls) {
+  const { urls, quorum } = getRpcConfig(chainName, defaultUrls);
+  const timeout = Number(process.env.RPC_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const transports = urls.map(url => http(url, { timeout }));
+
+  if (transports.length === 1) {
+    return transports[0];
+  }
+  const ordered = fallback(transports);
+  if (quorum === 1) {
+    return ordered;
+  }
+
+  return ({ chain, ...options }) => {
+    const endpoints = transports.map(transport => transport({ chain, retryCount: 0 }));
+    const first = ordered({ chain, ...options });
+
+    let cachedHeads = null;
+    const heads = () => {
+      if (!cachedHeads || Date.now() - cachedHeads.at > HEAD_CACHE_MS) {
+        const promise = readHeads(endpoints, quorum);
+        cachedHeads = { at: Date.now(), promise };
+        promise.catch(() => {
+          if (cachedHeads?.promise === promise) cachedHeads = null;
+        });
+      }
+      return cachedHeads.promise;
+    };
+
+    return custom({
+      async request(args) {
+        // The block number is the quorum height, so cursors never pass
+        // blocks that too few endpoints have seen
+        if (args.method === 'eth_blockNumber') {
+          return `0x${(await heads()).height.toString(16)}`;
+        }
+        if (!needsQuorum(args)) {
+          return first.request(args);
+        }
+
+        // Pin "latest" to the quorum height and only ask endpoints that have reached it
+        const { heads: known, height } = await heads();
+        const { args: pinned, minBlock } = pinToBlock(args, height);
+        const eligible = known
+          .filter(h => minBlock === null || h.head >= minBlock)
+          .map(h => h.endpoint);
+        if (eligible.length < quorum) {
+          throw new Error(`RPC quorum not reached for ${args.method}: ${eligible.length} of ${urls.length} endpoints have reached block ${minBlock} (${quorum} required)`);
+        }
+        return quorumRequest(eligible, quorum, pinned);
+      },
+    }, { key: 'quorum', name: `Quorum (${quorum} of ${urls.length})`, retryCount: 1 })({ chain, ...options });
+  };
+}
@@ -15,6 +15,12 @@ const PAYMENTS_FILE = path.join(DATA_DIR, 'payments.json');
 const RECEIPTS_FILE = path.join(DATA_DIR, 'receipts.json');
 const CUSTOMERS_FILE = path.join(DATA_DIR, 'customers.json');
 const SLA_VIOLATIONS_FILE = path.join(DATA_DIR, 'sla-violations.json');
+const PRICE_HISTORY_FILE = path.join(DATA_DIR, 'price-history.json');
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+
+// Price history retention
+const PRICE_HISTORY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const PRICE_HISTORY_MIN_SPACING_MS = 60 * 1000;            // at most one sample per minute
 
 // Helpers
 async function ensureDataDir() {
@@ -32,9 +38,25 @@ async function readJson(file, defaultValue = {}) {
   }
 }
 
+// Write to a temp file and rename it over the original, so a reader never sees a partial file
 async function writeJson(file, data) {
   await ensureDataDir();
-  await fs.writeFile(file, JSON.stringify(data, null, 2));
+  const tmp = `${file}.${process.pid}.${generateId()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Per-file queue of read-modify-write updates that may run concurrently
+const fileQueues = new Map();
+
+function withFileLock(file, fn) {
+  const run = (fileQueues.get(file) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  fileQueues.set(file, tail);
+  tail.then(() => {
+    if (fileQueues.get(file) === tail) fileQueues.delete(file);
+  });
+  return run;
 }
 
 export function generateId() {
@@ -181,6 +203,13 @@ export async function createWatcher(watcher) {
     lastChecked: null,
     lastTriggered: null,
     triggerCount: 0,
+    triggerMode: watcher.triggerMode || 'level',
+    hysteresis: watcher.hysteresis || 0,
+    conditionMet: null,
+    schedule: watcher.schedule || null,
+    lastReportAt: null,
+    reportDigest: null,
+    state: watcher.state || {},
     billingCycle: watcher.billingCycle || 'one-time',
     nextBillingAt: watcher.nextBillingAt || null,
     billingHistory: [],
@@ -437,3 +466,83 @@ export async function updateSLAViolation(id, updates) {
   await writeJson(SLA_VIOLATIONS_FILE, data);
   return data.violations[index];
 }
+
+// Price history - rolling time series of observed prices per token
+
+/**
+ * Get observed price samples for a series (e.g. "ethereum:usd"), oldest first
+ */
+export async function getPriceHistory(key, filters = {}) {
+  const data = await readJson(PRICE_HISTORY_FILE, { series: {} });
+  let samples = data.series[key] || [];
+  
+  if (filters.since) {
+    samples = samples.filter(s => s.at >= filters.since);
+  }
+  
+  return samples;
+}
+
+/**
+ * Record a price sample. Samples closer together than a minute are skipped
+ * (many watchers share a token) and samples older than 7 days are dropped.
+ */
+export async function recordPriceSample(key, price, at = new Date().toISOString()) {
+  const [sample] = await recordPriceSamples([{ key, price }], at);
+  return sample;
+}
+
+/**
+ * Record samples for several series in one write. Returns the sample kept
+ * for each entry, in order.
+ */
+export async function recordPriceSamples(entries, at = new Date().toISOString()) {
+  return withFileLock(PRICE_HISTORY_FILE, async () => {
+    const data = await readJson(PRICE_HISTORY_FILE, { series: {} });
+    const cutoff = new Date(new Date(at).getTime() - PRICE_HISTORY_MAX_AGE_MS).toISOString();
+    let changed = false;
+
+    const recorded = entries.map(({ key, price }) => {
+      const samples = data.series[key] || [];
+      const last = samples[samples.length - 1];
+      if (last && new Date(at) - new Date(last.at) < PRICE_HISTORY_MIN_SPACING_MS) {
+        return last;
+      }
+
+      const sample = { price, at };
+      data.series[key] = [...samples.filter(s => s.at >= cutoff), sample];
+      changed = true;
+      return sample;
+    });
+
+    if (changed) {
+      await writeJson(PRICE_HISTORY_FILE, data);
+    }
+    return recorded;
+  });
+}
+
+// Tokens - operator-registered entries for the token registry
+
+export async function getTokens(filters = {}) {
+  const data = await readJson(TOKENS_FILE, { tokens: [] });
+  let tokens = data.tokens;
+  
+  if (filters.operatorId) {
+    tokens = tokens.filter(t => t.operatorId === filters.operatorId);
+  }
+  
+  return tokens;
+}
+
+export async function createToken(token) {
+  const data = await readJson(TOKENS_FILE, { tokens: [] });
+  const newToken = {
+    id: generateId(),
+    ...token,
+    createdAt: new Date().toISOString(),
+  };
+  data.tokens.push(newToken);
+  await writeJson(TOKENS_FILE, data);
+  return newToken;
+}
@@ -0,0 +1,145 @@
+// x402-sentinel: Trigger modes - decides when a met condition fires a webhook
+
+/**
+ * Trigger modes:
+ * - level: fire on every check while the condition is met (default)
+ * - edge:  fire only when the condition goes from not met to met
+ * - once:  fire the first time the condition is met, then complete the watcher
+ * - schedule: deliver a report on the watcher's schedule whether or not the
+ *   condition is met (every N minutes, or daily at HH:MM UTC)
+ *
+ * Hysteresis (in the executor's threshold units) keeps a met condition met
+ * until the value moves back past the threshold by more than the band, so a
+ * value jittering around the threshold doesn't flap between states.
+ */
+
+// Which side of the threshold a comparison operator fires on
+const OPERATOR_DIRECTIONS = {
+  gt: 'above',
+  gte: 'above',
+  lt: 'below',
+  lte: 'below',
+};
+
+/**
+ * Whether a condition that was met is still held by the hysteresis band
+ */
+function withinHysteresis(result, band) {
+  const value = result.value;
+  const threshold = result.data?.threshold;
+  const direction = result.data?.direction || OPERATOR_DIRECTIONS[result.data?.operator];
+
+  if (typeof value !== 'number' || typeof threshold !== 'number') return false;
+
+  if (direction === 'above') return value > threshold - band;
+  if (direction === 'below') return value < threshold + band;
+  return false;
+}
+
+/**
+ * Evaluate a check result against the watcher's trigger mode.
+ * Returns the (hysteresis-adjusted) condition state to persist, whether to
+ * fire the webhook, and whether the watcher completes once delivery succeeds.
+ */
+export function evaluateTrigger(watcher, result, now = new Date()) {
+  const mode = watcher.triggerMode || 'level';
+  const wasMet = watcher.conditionMet === true;
+
+  let met = Boolean(result.triggered);
+  if (!met && wasMet && watcher.hysteresis > 0) {
+    met = withinHysteresis(result, watcher.hysteresis);
+  }
+
+  if (mode === 'schedule') {
+    return {
+      met,
+      fire: isReportDue(watcher, now),
+      complete: false,
+      report: true,
+    };
+  }
+
+  const fire = mode === 'edge' ? met && !wasMet : met;
+
+  return {
+    met,
+    fire,
+    complete: mode === 'once' && fire,
+    report: false,
+  };
+}
+
+// Shortest interval between scheduled reports, in minutes
+export const MIN_REPORT_INTERVAL = 5;
+
+/**
+ * Validate a report schedule: { intervalMinutes } or { dailyAt: "HH:MM" },
+ * plus an optional digest flag. Returns an error message or null.
+ */
+export function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'schedule must be an object: { intervalMinutes } or { dailyAt: "HH:MM" }';
+  }
+
+  const { intervalMinutes, dailyAt, digest } = schedule;
+  if ((intervalMinutes === undefined) === (dailyAt === undefined)) {
+    return 'schedule needs exactly one of intervalMinutes or dailyAt';
+  }
+  if (intervalMinutes !== undefined &&
+      (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_REPORT_INTERVAL)) {
+    return `schedule.intervalMinutes must be an integer of at least ${MIN_REPORT_INTERVAL}`;
+  }
+  if (dailyAt !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(dailyAt)) {
+    return 'schedule.dailyAt must be a UTC time as "HH:MM"';
+  }
+  if (digest !== undefined && typeof digest !== 'boolean') {
+    return 'schedule.digest must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a scheduled report is due. Reports are measured from the last
+ * delivered report, or from watcher creation before the first one.
+ */
+export function isReportDue(watcher, now = new Date()) {
+  const schedule = watcher.schedule;
+  if (!schedule) return false;
+
+  const since = new Date(watcher.lastReportAt || watcher.createdAt);
+
+  if (schedule.intervalMinutes) {
+    return now.getTime() - since.getTime() >= schedule.intervalMinutes * 60 * 1000;
+  }
+
+  // Most recent HH:MM UTC at or before now
+  const [hours, minutes] = schedule.dailyAt.split(':').map(Number);
+  const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes));
+  if (slot > now) {
+    slot.setUTCDate(slot.getUTCDate() - 1);
+  }
+  return slot > since;
+}
+
+/**
+ * Fold a check result into the running digest: min / max / last of every
+ * top-level numeric field in the data since the previous report.
+ */
+export function updateDigest(digest, result, now = new Date()) {
+  const next = {
+    since: digest?.since || now.toISOString(),
+    samples: (digest?.samples || 0) + 1,
+    fields: { ...digest?.fields },
+  };
+
+  for (const [field, value] of Object.entries(result.data || {})) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+    const previous = next.fields[field];
+    next.fields[field] = previous
+      ? { min: Math.min(previous.min, value), max: Math.max(previous.max, value), last: value }
+      : { min: value, max: value, last: value };
+  }
+
+  return next;
+}